@@ -5,9 +5,12 @@
  * that uses the StatusNotifierItem (SNI) protocol with DBusMenu.
  *
  * Key D-Bus interfaces used:
- * - org.kde.StatusNotifierWatcher: Tracks registered tray items
- * - org.kde.StatusNotifierItem: Individual tray item properties (icon, tooltip, etc.)
+ * - org.kde.StatusNotifierWatcher: Tracks registered tray items (also exported
+ *   as org.freedesktop.StatusNotifierWatcher)
+ * - org.kde.StatusNotifierItem: Individual tray item properties (icon, tooltip, etc.),
+ *   or org.freedesktop.StatusNotifierItem for items implementing that name
  * - com.canonical.dbusmenu: Menu structure and actions
+ * - org.gtk.Menus / org.gtk.Actions: GMenuModel menus, for items exporting those instead
  *
  * Based on learnings from Status Kitchen (https://github.com/keithvassallomt/status-kitchen)
  * and AppIndicator extension (for robust D-Bus proxy handling)
@@ -19,6 +22,7 @@ import GdkPixbuf from 'gi://GdkPixbuf';
 import Gio from 'gi://Gio';
 import GLib from 'gi://GLib';
 import GObject from 'gi://GObject';
+import Pango from 'gi://Pango';
 import St from 'gi://St';
 
 import * as Main from 'resource:///org/gnome/shell/ui/main.js';
@@ -29,6 +33,22 @@ import { Extension } from 'resource:///org/gnome/shell/extensions/extension.js';
 const DEBUG = false;
 const FALLBACK_ICON_NAME = 'image-loading-symbolic';
 const PIXMAPS_FORMAT = Cogl.PixelFormat.ARGB_8888;
+// Scroll deltas are batched and forwarded at most this often
+const SCROLL_FLUSH_INTERVAL_MS = 50;
+// Frame rate for attention movies given as a directory of frames
+const MOVIE_FRAME_INTERVAL_MS = 100;
+// Hover time before a tray icon's tooltip appears
+const TOOLTIP_SHOW_DELAY_MS = 500;
+// How long a menu call may take before the app is considered unresponsive
+const MENU_CALL_TIMEOUT_MS = 5000;
+// DBusMenu LayoutUpdated signals arriving within this window are merged
+const MENU_UPDATE_DELAY_MS = 50;
+// How long a clicked toggle item waits for the app to confirm its new state
+const MENU_TOGGLE_CHECK_DELAY_MS = 500;
+// Per-level indentation of flattened nested submenus
+const MENU_INDENT_PX = 12;
+// DBusMenu properties that can be applied to an existing PopupMenu item
+const IN_PLACE_MENU_PROPERTIES = ['label', 'enabled', 'visible', 'toggle-type', 'toggle-state', 'shortcut', 'disposition'];
 
 function debug(msg) {
     if (DEBUG) {
@@ -133,6 +153,214 @@ function findIconInTheme(iconName) {
     }
 }
 
+// Wrap raw pixel data in an St.ImageContent, handling the extra Cogl
+// context argument that set_bytes() takes on GNOME 48+.
+function createImageContent(pixelBytes, format, width, height, rowStride) {
+    const imageContent = new St.ImageContent({
+        preferred_width: width,
+        preferred_height: height,
+    });
+
+    const mutterBackend = global.stage?.context?.get_backend?.();
+    if (imageContent.set_bytes.length === 6 && mutterBackend?.get_cogl_context) {
+        imageContent.set_bytes(
+            mutterBackend.get_cogl_context(),
+            pixelBytes,
+            format,
+            width,
+            height,
+            rowStride
+        );
+    } else {
+        imageContent.set_bytes(
+            pixelBytes,
+            format,
+            width,
+            height,
+            rowStride
+        );
+    }
+
+    return imageContent;
+}
+
+function createImageContentFromPixbuf(pixbuf) {
+    return createImageContent(
+        pixbuf.read_pixel_bytes(),
+        pixbuf.get_has_alpha() ? Cogl.PixelFormat.RGBA_8888 : Cogl.PixelFormat.RGB_888,
+        pixbuf.get_width(),
+        pixbuf.get_height(),
+        pixbuf.get_rowstride()
+    );
+}
+
+// Pick the entry closest to targetSize from an IconPixmap-style a(iiay)
+// variant.  Returns { width, height, data } or null if it is empty.
+function pickPixmap(pixmapVariant, targetSize) {
+    let best = null;
+    for (let i = 0; i < pixmapVariant.n_children(); i++) {
+        const child = pixmapVariant.get_child_value(i);
+        const width = child.get_child_value(0).get_int32();
+        const height = child.get_child_value(1).get_int32();
+        if (!best || Math.abs(width - targetSize) < Math.abs(best.width - targetSize))
+            best = { width, height, child };
+    }
+
+    if (!best)
+        return null;
+
+    return {
+        width: best.width,
+        height: best.height,
+        data: best.child.get_child_value(2).get_data_as_bytes(),
+    };
+}
+
+// Run a Gio-style asynchronous call; start receives the callback and
+// finish turns (source, result) into the value
+function callAsync(start, finish) {
+    return new Promise((resolve, reject) => {
+        start((source, result) => {
+            try {
+                resolve(finish(source, result));
+            } catch (e) {
+                reject(e);
+            }
+        });
+    });
+}
+
+function readFileAsync(file) {
+    return callAsync(
+        callback => file.read_async(GLib.PRIORITY_DEFAULT, null, callback),
+        (source, result) => source.read_finish(result));
+}
+
+// Loaded attention movies by IconThemePath and AttentionMovieName, as
+// promises of { animation } or { frames }.  Items re-request their movie
+// on every icon update, so each is read and decoded only once.
+const _movieCache = new Map();
+
+// Resolve an AttentionMovieName into a movie.  The movie is either an
+// animated image file or a directory of frames, given as an absolute path
+// or as a name relative to the item's IconThemePath.  Resolves to null if
+// nothing usable was found.
+function loadMovie(movieName, iconThemePath) {
+    const key = `${iconThemePath ?? ''}\n${movieName}`;
+    let movie = _movieCache.get(key);
+    if (!movie) {
+        movie = findMovie(movieName, iconThemePath).then(result => {
+            // The app may still install it; look again next time
+            if (!result)
+                _movieCache.delete(key);
+            return result;
+        });
+        _movieCache.set(key, movie);
+    }
+    return movie;
+}
+
+async function findMovie(movieName, iconThemePath) {
+    const candidates = [];
+    if (movieName.startsWith('/')) {
+        candidates.push(movieName);
+    } else if (iconThemePath) {
+        candidates.push(`${iconThemePath}/${movieName}`);
+        for (const ext of ['.gif', '.webp', '.png', '.mng'])
+            candidates.push(`${iconThemePath}/${movieName}${ext}`);
+    }
+
+    for (const path of candidates) {
+        const file = Gio.File.new_for_path(path);
+        try {
+            const info = await callAsync(
+                callback => file.query_info_async('standard::type', Gio.FileQueryInfoFlags.NONE,
+                    GLib.PRIORITY_DEFAULT, null, callback),
+                (source, result) => source.query_info_finish(result));
+
+            if (info.get_file_type() === Gio.FileType.DIRECTORY) {
+                const frames = await loadMovieFrameDirectory(file);
+                if (frames.length > 0)
+                    return { frames };
+            } else if (info.get_file_type() === Gio.FileType.REGULAR) {
+                const stream = await readFileAsync(file);
+                const animation = await callAsync(
+                    callback => GdkPixbuf.PixbufAnimation.new_from_stream_async(stream, null, callback),
+                    (source, result) => GdkPixbuf.PixbufAnimation.new_from_stream_finish(result));
+                stream.close_async(GLib.PRIORITY_DEFAULT, null, null);
+                return { animation };
+            }
+        } catch (e) {
+            if (!e.matches?.(Gio.IOErrorEnum, Gio.IOErrorEnum.NOT_FOUND))
+                debug(`Failed to load attention movie ${path}: ${e.message}`);
+        }
+    }
+
+    return null;
+}
+
+// Frames are the image files in the directory, in file name order
+async function loadMovieFrameDirectory(dir) {
+    const enumerator = await callAsync(
+        callback => dir.enumerate_children_async('standard::name', Gio.FileQueryInfoFlags.NONE,
+            GLib.PRIORITY_DEFAULT, null, callback),
+        (source, result) => source.enumerate_children_finish(result));
+
+    const names = [];
+    for (;;) {
+        const infos = await callAsync(
+            callback => enumerator.next_files_async(32, GLib.PRIORITY_DEFAULT, null, callback),
+            (source, result) => source.next_files_finish(result));
+        if (infos.length === 0)
+            break;
+        names.push(...infos.map(info => info.get_name()));
+    }
+    enumerator.close_async(GLib.PRIORITY_DEFAULT, null, null);
+
+    const frames = [];
+    for (const name of names.sort()) {
+        try {
+            const stream = await readFileAsync(dir.get_child(name));
+            frames.push(await callAsync(
+                callback => GdkPixbuf.Pixbuf.new_from_stream_async(stream, null, callback),
+                (source, result) => GdkPixbuf.Pixbuf.new_from_stream_finish(result)));
+            stream.close_async(GLib.PRIORITY_DEFAULT, null, null);
+        } catch (e) {
+            // not an image, skip
+        }
+    }
+    return frames;
+}
+
+// A function yielding [pixbuf, delayMs] for each successive frame of a
+// loaded movie (delay -1 means the image is static).  Every player gets
+// its own position in the movie.
+function createMovieFrameSource(movie) {
+    if (movie.frames) {
+        const frames = movie.frames;
+        let index = 0;
+        return () => {
+            const pixbuf = frames[index];
+            index = (index + 1) % frames.length;
+            return [pixbuf, frames.length > 1 ? MOVIE_FRAME_INTERVAL_MS : -1];
+        };
+    }
+
+    const animation = movie.animation;
+    if (animation.is_static_image()) {
+        const pixbuf = animation.get_static_image();
+        return () => [pixbuf, -1];
+    }
+    const iter = animation.get_iter(null);
+    let first = true;
+    return () => {
+        if (!first)
+            iter.advance(null);
+        first = false;
+        return [iter.get_pixbuf(), iter.get_delay_time()];
+    };
+}
+
 // SNI D-Bus interface XML — helps Gio.DBusProxy handle broken implementations
 const SNI_INTERFACE_XML = `
 <node>
@@ -169,6 +397,9 @@ const SNI_INTERFACE_XML = `
       <arg name="delta" type="i" direction="in"/>
       <arg name="orientation" type="s" direction="in"/>
     </method>
+    <method name="ProvideXdgActivationToken">
+      <arg name="token" type="s" direction="in"/>
+    </method>
   </interface>
 </node>
 `;
@@ -197,19 +428,59 @@ const SNW_INTERFACE_XML = `
 </node>
 `;
 
-const WATCHER_BUS_NAME = 'org.kde.StatusNotifierWatcher';
+// The KDE names are the de-facto standard; newer toolkits may use the
+// freedesktop ones.  Both are served, KDE first.
+const SNI_INTERFACE_NAMES = ['org.kde.StatusNotifierItem', 'org.freedesktop.StatusNotifierItem'];
+const WATCHER_BUS_NAMES = ['org.kde.StatusNotifierWatcher', 'org.freedesktop.StatusNotifierWatcher'];
 const WATCHER_OBJECT_PATH = '/StatusNotifierWatcher';
+// Revision of the StatusNotifier protocol the watcher implements
+const WATCHER_PROTOCOL_VERSION = 1;
 const DEFAULT_ITEM_OBJECT_PATH = '/StatusNotifierItem';
 
 const BUS_ADDRESS_REGEX = /^[a-zA-Z_][a-zA-Z0-9_]*(\.[a-zA-Z_][a-zA-Z0-9_]*)+$/;
 
-let _sniInterfaceInfo = null;
-function getSNIInterfaceInfo() {
-    if (!_sniInterfaceInfo) {
-        const nodeInfo = Gio.DBusNodeInfo.new_for_xml(SNI_INTERFACE_XML);
-        _sniInterfaceInfo = nodeInfo.lookup_interface('org.kde.StatusNotifierItem');
+const _sniInterfaceInfos = new Map();
+function getSNIInterfaceInfo(interfaceName = SNI_INTERFACE_NAMES[0]) {
+    if (!_sniInterfaceInfos.has(interfaceName)) {
+        const xml = SNI_INTERFACE_XML.replace('org.kde.StatusNotifierItem', interfaceName);
+        const nodeInfo = Gio.DBusNodeInfo.new_for_xml(xml);
+        _sniInterfaceInfos.set(interfaceName, nodeInfo.lookup_interface(interfaceName));
+    }
+    return _sniInterfaceInfos.get(interfaceName);
+}
+
+// Which SNI interface name the item implements, from its introspection
+// data.  Items that can't be introspected are assumed to use the KDE one.
+async function detectItemInterface(busName, objectPath, cancellable) {
+    try {
+        const xml = await new Promise((resolve, reject) => {
+            Gio.DBus.session.call(
+                busName,
+                objectPath,
+                'org.freedesktop.DBus.Introspectable',
+                'Introspect',
+                null,
+                new GLib.VariantType('(s)'),
+                Gio.DBusCallFlags.NONE,
+                2000,
+                cancellable,
+                (conn, result) => {
+                    try {
+                        resolve(conn.call_finish(result).deep_unpack()[0]);
+                    } catch (e) {
+                        reject(e);
+                    }
+                }
+            );
+        });
+
+        const found = SNI_INTERFACE_NAMES.find(name => xml.includes(`"${name}"`));
+        if (found)
+            return found;
+    } catch (e) {
+        debug(`Failed to introspect ${busName}${objectPath}: ${e.message}`);
     }
-    return _sniInterfaceInfo;
+    return SNI_INTERFACE_NAMES[0];
 }
 
 let _interfaceSettings = null;
@@ -227,12 +498,200 @@ function isDarkMode() {
     }
 }
 
+// Apps without an Activate/SecondaryActivate/ContextMenu implementation
+// reply with UnknownMethod (or NotSupported from some bindings).
+function isUnsupportedMethodError(e) {
+    return e.matches(Gio.DBusError, Gio.DBusError.UNKNOWN_METHOD) ||
+        e.matches(Gio.DBusError, Gio.DBusError.NOT_SUPPORTED);
+}
+
+const HTML_ENTITIES = {
+    amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: '\u00a0',
+};
+
+const HTML_TO_PANGO_TAGS = {
+    b: 'b', strong: 'b',
+    i: 'i', em: 'i',
+    u: 'u',
+    s: 's', strike: 's', del: 's',
+    tt: 'tt', code: 'tt',
+    big: 'big', small: 'small',
+    sub: 'sub', sup: 'sup',
+};
+
+function decodeHtmlEntities(text) {
+    return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (entity, name) => {
+        if (name[0] === '#') {
+            const code = name[1] === 'x' || name[1] === 'X'
+                ? parseInt(name.substring(2), 16)
+                : parseInt(name.substring(1), 10);
+            // Out of range, surrogates and NUL stay literal text
+            const valid = code > 0 && code <= 0x10ffff && !(code >= 0xd800 && code <= 0xdfff);
+            return valid ? String.fromCodePoint(code) : entity;
+        }
+        return HTML_ENTITIES[name.toLowerCase()] ?? entity;
+    });
+}
+
+// SNI ToolTip descriptions may use the HTML subset KDE documents (b, i, u,
+// br, p, ...).  Convert it to Pango markup: known formatting tags are
+// mapped, line-breaking tags become newlines, everything else is dropped
+// and all text is escaped, so the result always parses.  A "<" only starts
+// a tag when followed by a letter, "/" or "!", so plain text like "a < b"
+// survives.
+function tooltipHtmlToPango(html) {
+    if (!html)
+        return '';
+
+    const isRichText = /<[a-z!/][^>]*>/i.test(html);
+    // Text and tags alternate: odd indices are tags
+    const tokens = html.split(/(<[a-z!/][^>]*>)/i);
+    const openTags = [];
+    let markup = '';
+
+    for (const [index, token] of tokens.entries()) {
+        if (index % 2 === 0) {
+            let text = decodeHtmlEntities(token);
+            if (isRichText)
+                text = text.replace(/\s+/g, ' ');
+            markup += GLib.markup_escape_text(text, -1);
+            continue;
+        }
+
+        const tagMatch = token.match(/^<\s*(\/?)\s*([a-z0-9]+)[^>]*?(\/?)\s*>$/i);
+        if (!tagMatch)
+            continue;  // comments, doctype, malformed tags
+
+        const [, closing, tagName, selfClosing] = tagMatch;
+        const name = tagName.toLowerCase();
+
+        if (name === 'br') {
+            markup += '\n';
+        } else if (['p', 'div', 'li', 'tr', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6'].includes(name)) {
+            if (!closing && markup.length > 0 && !markup.endsWith('\n'))
+                markup += '\n';
+        } else if (HTML_TO_PANGO_TAGS[name] && !selfClosing) {
+            const pangoTag = HTML_TO_PANGO_TAGS[name];
+            if (!closing) {
+                openTags.push(pangoTag);
+                markup += `<${pangoTag}>`;
+            } else if (openTags.includes(pangoTag)) {
+                // Close everything opened since, keeping the markup nested
+                let tag;
+                do {
+                    tag = openTags.pop();
+                    markup += `</${tag}>`;
+                } while (tag !== pangoTag);
+            }
+        }
+    }
+
+    while (openTags.length > 0)
+        markup += `</${openTags.pop()}>`;
+
+    return markup.replace(/ *\n */g, '\n').trim();
+}
+
+// GetLayout's (ia{sv}av) -> { id, properties: { name: value }, children }
+function parseMenuLayout(layout) {
+    const [id, properties, children] = layout;
+    const props = {};
+    for (const [key, value] of Object.entries(properties))
+        props[key] = value.deep_unpack();
+    return {
+        id,
+        properties: props,
+        children: (children ?? []).map(child => parseMenuLayout(child.deep_unpack())),
+    };
+}
+
+// Deep equality for unpacked DBusMenu property values (strings, numbers,
+// booleans, arrays, byte arrays)
+function menuValuesEqual(a, b) {
+    if (a === b)
+        return true;
+    if (typeof a !== 'object' || typeof b !== 'object' || !a || !b)
+        return false;
+
+    const keysA = Object.keys(a);
+    const keysB = Object.keys(b);
+    return keysA.length === keysB.length &&
+        keysA.every(key => menuValuesEqual(a[key], b[key]));
+}
+
 // "_File" -> "File", "__File" -> "_File"
 function stripMnemonics(label) {
     if (!label) return '';
     return label.replace(/__/g, '\x00').replace(/_/g, '').replace(/\x00/g, '_');
 }
 
+// "_File" -> "f", "Save __As" -> null
+function getMnemonicKey(label) {
+    const match = label?.replace(/__/g, '').match(/_(.)/);
+    return match ? match[1].toLowerCase() : null;
+}
+
+const SHORTCUT_MODIFIER_NAMES = {
+    Control: 'Ctrl',
+    Alt: 'Alt',
+    Shift: 'Shift',
+    Super: 'Super',
+};
+
+const SHORTCUT_KEY_NAMES = {
+    Return: 'Enter',
+    Escape: 'Esc',
+    Delete: 'Del',
+    BackSpace: 'Backspace',
+    Page_Up: 'Page Up',
+    Page_Down: 'Page Down',
+    plus: '+',
+    minus: '-',
+    equal: '=',
+    comma: ',',
+    period: '.',
+    space: 'Space',
+};
+
+const ACCELERATOR_MODIFIERS = {
+    primary: 'Control',
+    control: 'Control',
+    ctrl: 'Control',
+    alt: 'Alt',
+    shift: 'Shift',
+    super: 'Super',
+};
+
+// GTK accelerator -> DBusMenu shortcut, e.g. "<Primary><Shift>q" -> [['Control', 'Shift', 'q']]
+function parseGtkAccelerator(accel) {
+    const match = accel?.match(/^((?:<\w+>)*)(.+)$/);
+    if (!match)
+        return [];
+
+    const modifiers = [...match[1].matchAll(/<(\w+)>/g)]
+        .map(([, name]) => ACCELERATOR_MODIFIERS[name.toLowerCase()])
+        .filter(name => name);
+    return [[...modifiers, match[2]]];
+}
+
+// DBusMenu disposition -> leading icon and accessible prefix
+const MENU_DISPOSITIONS = {
+    informative: { iconName: 'dialog-information-symbolic', description: 'Information' },
+    warning: { iconName: 'dialog-warning-symbolic', description: 'Warning' },
+    alert: { iconName: 'dialog-error-symbolic', description: 'Alert' },
+};
+
+// DBusMenu shortcut (aas), e.g. [['Control', 'Shift', 'q']] -> "Ctrl+Shift+Q"
+function formatShortcut(shortcut) {
+    return (shortcut ?? []).map(keys => keys.map(key => {
+        if (SHORTCUT_MODIFIER_NAMES[key])
+            return SHORTCUT_MODIFIER_NAMES[key];
+        if (SHORTCUT_KEY_NAMES[key])
+            return SHORTCUT_KEY_NAMES[key];
+        return key.length === 1 ? key.toUpperCase() : key.replace(/_/g, ' ');
+    }).join('+')).join(', ');
+}
+
 // e.g. "/run/user/1000/app/org.ferdium.Ferdium/..." -> "org.ferdium.Ferdium"
 function extractFlatpakAppId(iconThemePath) {
     if (!iconThemePath) return null;
@@ -243,6 +702,9 @@ function extractFlatpakAppId(iconThemePath) {
 const TrayItem = GObject.registerClass({
     Signals: {
         'appid-resolved': { param_types: [GObject.TYPE_STRING] },
+        'restart-requested': {},
+        'move-requested': { param_types: [GObject.TYPE_INT] },
+        'preferences-requested': { param_types: [GObject.TYPE_STRING] },
     },
 }, class TrayItem extends PanelMenu.Button {
     _init(busName, objectPath, settings) {
@@ -252,24 +714,103 @@ const TrayItem = GObject.registerClass({
         this._busName = busName;
         this._objectPath = objectPath;
         this._menuPath = null;
+        // Whether the Menu property has been read yet; until then a null
+        // _menuPath doesn't mean the item has no DBusMenu
+        this._menuPathKnown = false;
         this._iconThemePath = null;
+        this._itemIsMenu = false;
+        this._activateUnsupported = false;
+        this._contextMenuUnsupported = false;
+        this._activationTokenUnsupported = false;
+        this._status = 'Active';
+        this._attentionIconName = '';
+        this._attentionIconPixmap = null;
+        this._attentionMovieName = '';
+        // An AttentionMovieName that failed to load; not retried
+        this._unusableMovieName = null;
+        this._animationTimeoutId = 0;
+        // Bumped on every icon update so late async loads can tell
+        this._iconGeneration = 0;
+        this._hideIdleId = 0;
+        this._overlayIconName = '';
+        this._overlayIconPixmap = null;
+        this._title = '';
+        this._toolTip = null;
+        this._sniId = '';
+        this._tooltipActor = null;
+        this._tooltipShowId = 0;
+        // DBusMenu model: id -> node, plus what is rendered for each node
+        this._menuRoot = null;
+        this._menuShowsLayout = false;
+        // Revision of the last full layout fetched; layout changes up to it
+        // are already in the model
+        this._menuRevision = 0;
+        this._menuNodes = new Map();
+        this._menuItems = new Map();
+        this._menuContainers = new Map();
+        this._menuSignalIds = [];
+        this._pendingLayoutParents = new Set();
+        this._layoutUpdateId = 0;
+        // Menus we sent 'opened' for, and queued opened/closed/hovered events
+        this._openMenuIds = new Set();
+        this._pendingMenuEvents = [];
+        this._menuEventFlushId = 0;
+        this._eventGroupUnsupported = false;
+        this._aboutToShowGroupUnsupported = false;
+        // Toggle items clicked but not yet confirmed by the app
+        this._unconfirmedToggleIds = new Set();
+        this._toggleCheckId = 0;
+        // 'dbusmenu' or 'gmenu', detected on first open
+        this._menuBackend = null;
+        this._menuModel = null;
+        this._actionGroup = null;
+        this._actionGroupSignalIds = [];
+        this._gmenuModelSignals = [];
+        this._gmenuRebuildId = 0;
+        // Type-ahead filter text while the menu is open
+        this._menuFilter = '';
+        this._filterItem = null;
+        this._hostSection = null;
+        this._scrollDeltaX = 0;
+        this._scrollDeltaY = 0;
+        this._scrollFlushId = 0;
         this._settings = settings;
         this._proxy = null;
+        // Detected in _initProxy; the KDE name until then
+        this._interfaceName = SNI_INTERFACE_NAMES[0];
         this._cancellable = new Gio.Cancellable();
 
         // Preliminary ID; updated later with SNI Id/ToolTip when available
         this._appId = this._extractId(busName, objectPath);
+        this._appIdResolved = false;
 
         this._signalIds = [];
 
         this._tempFilePath = null;
         this._fallbackOverrideIcon = null;
 
+        // The overlay badge sits in the icon's bottom-right corner.  It is a
+        // sibling of _icon so the symbolic effects on _icon don't touch it.
+        this._iconStack = new St.Widget({
+            layout_manager: new Clutter.BinLayout(),
+            x_align: Clutter.ActorAlign.CENTER,
+            y_align: Clutter.ActorAlign.CENTER,
+        });
+        this.add_child(this._iconStack);
+
         this._icon = new St.Icon({
             style_class: 'system-status-icon status-tray-icon',
             icon_name: FALLBACK_ICON_NAME,
         });
-        this.add_child(this._icon);
+        this._iconStack.add_child(this._icon);
+
+        this._overlayIcon = new St.Icon({
+            style_class: 'status-tray-overlay-icon',
+            x_align: Clutter.ActorAlign.END,
+            y_align: Clutter.ActorAlign.END,
+            visible: false,
+        });
+        this._iconStack.add_child(this._overlayIcon);
 
         this.add_style_class_name('status-tray-button');
 
@@ -282,16 +823,251 @@ const TrayItem = GObject.registerClass({
         });
         this.menu.addMenuItem(this._loadingItem);
 
+        this.connect('scroll-event', (actor, event) => this._onScroll(event));
+
+        this.connect('notify::hover', () => this._onHoverChanged());
+
+        // Key presses not handled by the focused item bubble up to here
+        this.menu.actor.connect('key-press-event', (actor, event) => this._onMenuKeyPress(event));
+        // While filtering, the filter gets keys first: the hovered item
+        // holds key focus and would consume Space and Enter itself
+        this.menu.actor.connect('captured-event', (actor, event) => {
+            if (!this._menuFilter || event.type() !== Clutter.EventType.KEY_PRESS)
+                return Clutter.EVENT_PROPAGATE;
+            return this._onMenuKeyPress(event);
+        });
+
         this.menu.connect('open-state-changed', (menu, isOpen) => {
             debug(`Menu open-state-changed: isOpen=${isOpen}, busName=${this._busName}`);
             if (isOpen) {
+                this._hideTooltip();
                 this._loadMenu();
+            } else {
+                for (const id of this._openMenuIds)
+                    this._queueMenuEvent(id, 'closed');
+                this._openMenuIds.clear();
+
+                // The rendered menu is reused on next open
+                if (this._menuFilter)
+                    this._setMenuFilter('');
             }
         });
 
+        // GNOME Shell may destroy the item itself (e.g. during suspend),
+        // so clean up on the signal rather than in a destroy() override
+        this.connect('destroy', () => this._onDestroyed());
+
         debug(`Created TrayItem for ${busName} at ${objectPath}`);
     }
 
+    // SNI click semantics: left click activates, middle click secondary
+    // activates, right click opens the menu.  Items flagged ItemIsMenu (or
+    // that turn out not to implement Activate) open the menu on left click.
+    vfunc_event(event) {
+        const type = event.type();
+
+        if (type === Clutter.EventType.TOUCH_BEGIN) {
+            this._onPrimaryClick(event.get_time());
+            return Clutter.EVENT_STOP;
+        }
+
+        if (type !== Clutter.EventType.BUTTON_PRESS)
+            return super.vfunc_event(event);
+
+        switch (event.get_button()) {
+        case Clutter.BUTTON_PRIMARY:
+            this._onPrimaryClick(event.get_time());
+            return Clutter.EVENT_STOP;
+        case Clutter.BUTTON_MIDDLE:
+            this._provideActivationToken(event.get_time());
+            this._callItemMethod('SecondaryActivate', this._getActivationParams());
+            return Clutter.EVENT_STOP;
+        case Clutter.BUTTON_SECONDARY:
+            this._toggleMenu();
+            return Clutter.EVENT_STOP;
+        default:
+            return Clutter.EVENT_PROPAGATE;
+        }
+    }
+
+    _onPrimaryClick(timestamp) {
+        if (this.menu.isOpen || this._itemIsMenu || this._activateUnsupported) {
+            this._toggleMenu();
+            return;
+        }
+
+        this._provideActivationToken(timestamp);
+        this._callItemMethod('Activate', this._getActivationParams(), e => {
+            if (isUnsupportedMethodError(e)) {
+                debug(`${this._busName} does not implement Activate, using menu`);
+                this._activateUnsupported = true;
+                this._toggleMenu();
+            }
+        });
+    }
+
+    // Shows either our rendering of the item's DBusMenu or, for items
+    // without one (or apps set to prefer it), the app's own menu through
+    // the SNI ContextMenu method.
+    _toggleMenu() {
+        if (!this.menu.isOpen && this._shouldUseContextMenu()) {
+            this._showContextMenu();
+            return;
+        }
+
+        this.menu.toggle();
+    }
+
+    _shouldUseContextMenu() {
+        if (this._contextMenuUnsupported)
+            return false;
+
+        if (!this._menuPath && this._menuPathKnown)
+            return true;
+
+        return this._settings?.get_strv('context-menu-apps').includes(this._appId) ?? false;
+    }
+
+    _showContextMenu() {
+        const [x, y] = global.get_pointer();
+
+        this._callItemMethod('ContextMenu', new GLib.Variant('(ii)', [x, y]), e => {
+            if (isUnsupportedMethodError(e)) {
+                debug(`${this._busName} does not implement ContextMenu, using DBusMenu`);
+                this._contextMenuUnsupported = true;
+                this.menu.open();
+            }
+        });
+    }
+
+    _onScroll(event) {
+        // Wheels produce both a smooth event and an emulated discrete one;
+        // only count the real one so each notch is forwarded once.
+        if (event.get_flags() & Clutter.EventFlags.FLAG_POINTER_EMULATED)
+            return Clutter.EVENT_STOP;
+
+        switch (event.get_scroll_direction()) {
+        case Clutter.ScrollDirection.SMOOTH: {
+            const [dx, dy] = event.get_scroll_delta();
+            this._scrollDeltaX += dx;
+            this._scrollDeltaY += dy;
+            break;
+        }
+        case Clutter.ScrollDirection.UP:
+            this._scrollDeltaY -= 1;
+            break;
+        case Clutter.ScrollDirection.DOWN:
+            this._scrollDeltaY += 1;
+            break;
+        case Clutter.ScrollDirection.LEFT:
+            this._scrollDeltaX -= 1;
+            break;
+        case Clutter.ScrollDirection.RIGHT:
+            this._scrollDeltaX += 1;
+            break;
+        }
+
+        // Touchpads emit many tiny deltas; collect them and send whole steps
+        // on a short interval instead of one Scroll call per event.
+        if (!this._scrollFlushId) {
+            this._scrollFlushId = GLib.timeout_add(GLib.PRIORITY_DEFAULT, SCROLL_FLUSH_INTERVAL_MS, () => {
+                this._scrollFlushId = 0;
+                this._flushScroll();
+                return GLib.SOURCE_REMOVE;
+            });
+        }
+
+        return Clutter.EVENT_STOP;
+    }
+
+    // Scroll(delta, orientation): positive delta is down/right, matching
+    // Clutter's smooth scroll deltas.  Fractional remainders are kept for
+    // the next flush.
+    _flushScroll() {
+        const stepsX = Math.trunc(this._scrollDeltaX);
+        const stepsY = Math.trunc(this._scrollDeltaY);
+
+        if (stepsX !== 0) {
+            this._scrollDeltaX -= stepsX;
+            this._callItemMethod('Scroll', new GLib.Variant('(is)', [stepsX, 'horizontal']));
+        }
+
+        if (stepsY !== 0) {
+            this._scrollDeltaY -= stepsY;
+            this._callItemMethod('Scroll', new GLib.Variant('(is)', [stepsY, 'vertical']));
+        }
+    }
+
+    // Plasma 6 SNI extension: hand the item an XDG activation token before
+    // Activate, SecondaryActivate or a menu item, so it may raise its window
+    // despite Wayland focus stealing prevention.  D-Bus delivers our calls in order,
+    // so callers can send Activate right away without waiting.
+    _provideActivationToken(timestamp = global.get_current_time()) {
+        if (this._activationTokenUnsupported)
+            return;
+
+        let launchContext, token;
+        try {
+            // The shell hands out tokens through app launch contexts, which
+            // need some GAppInfo to describe the "launch".
+            launchContext = global.create_app_launch_context(timestamp, -1);
+            const appInfo = Gio.AppInfo.create_from_commandline(
+                'true', 'status-tray', Gio.AppInfoCreateFlags.NONE);
+            token = launchContext.get_startup_notify_id(appInfo, []);
+        } catch (e) {
+            debug(`Failed to create activation token: ${e.message}`);
+            return;
+        }
+
+        if (!token)
+            return;
+
+        // A token the app accepted stays valid until a window uses it or
+        // Mutter times out its startup sequence.  One the app refused is
+        // ended right away, so no busy cursor lingers.
+        this._callItemMethod('ProvideXdgActivationToken', new GLib.Variant('(s)', [token]), e => {
+            launchContext.launch_failed(token);
+            if (isUnsupportedMethodError(e)) {
+                debug(`${this._busName} does not implement ProvideXdgActivationToken`);
+                this._activationTokenUnsupported = true;
+            }
+        });
+    }
+
+    // Activate and SecondaryActivate take the icon's position on screen
+    _getActivationParams() {
+        const [x, y] = this._icon.get_transformed_position();
+        return new GLib.Variant('(ii)', [Math.round(x), Math.round(y)]);
+    }
+
+    // Fire-and-forget SNI method call.  onError receives the GError so
+    // callers can fall back when the app doesn't implement the method.
+    _callItemMethod(method, params, onError = null) {
+        debug(`Calling ${method} on ${this._busName}`);
+
+        Gio.DBus.session.call(
+            this._busName,
+            this._objectPath,
+            this._interfaceName,
+            method,
+            params,
+            null,
+            Gio.DBusCallFlags.NONE,
+            -1,
+            this._cancellable,
+            (conn, result) => {
+                try {
+                    conn.call_finish(result);
+                } catch (e) {
+                    if (e.matches(Gio.IOErrorEnum, Gio.IOErrorEnum.CANCELLED))
+                        return;
+                    debug(`${method} failed for ${this._busName}: ${e.message}`);
+                    onError?.(e);
+                }
+            }
+        );
+    }
+
     _extractId(busName, objectPath) {
         const pathParts = objectPath.split('/').filter(p => p.length > 0);
         if (pathParts.length > 0) {
@@ -304,13 +1080,20 @@ const TrayItem = GObject.registerClass({
     }
 
     async _initProxy() {
+        this._interfaceName = await detectItemInterface(this._busName, this._objectPath, this._cancellable);
+        debug(`${this._busName} implements ${this._interfaceName}`);
+
+        // Destroyed while waiting
+        if (!this._cancellable)
+            return;
+
         try {
             this._proxy = new Gio.DBusProxy({
                 g_connection: Gio.DBus.session,
                 g_name: this._busName,
                 g_object_path: this._objectPath,
-                g_interface_name: 'org.kde.StatusNotifierItem',
-                g_interface_info: getSNIInterfaceInfo(),
+                g_interface_name: this._interfaceName,
+                g_interface_info: getSNIInterfaceInfo(this._interfaceName),
                 g_flags: Gio.DBusProxyFlags.GET_INVALIDATED_PROPERTIES,
             });
 
@@ -330,10 +1113,7 @@ const TrayItem = GObject.registerClass({
             this._proxy.connect('g-properties-changed', (proxy, changed, invalidated) => {
                 const props = Object.keys(changed.deep_unpack());
                 debug(`Properties changed for ${this._busName}: ${props.join(', ')}`);
-
-                if (props.some(p => p.startsWith('Icon'))) {
-                    this._updateIcon();
-                }
+                this._onProxyPropertiesChanged(props);
             });
 
             this._fetchPropertiesFromProxy();
@@ -345,6 +1125,58 @@ const TrayItem = GObject.registerClass({
         }
     }
 
+    // Some items emit PropertiesChanged instead of (or as well as) the SNI
+    // New* signals.  Re-read only what changed from the proxy cache.
+    _onProxyPropertiesChanged(props) {
+        const cached = name => this._proxy.get_cached_property(name);
+
+        if (props.includes('Title'))
+            this._title = cached('Title')?.deep_unpack() ?? '';
+
+        if (props.includes('ToolTip'))
+            this._toolTip = cached('ToolTip');
+
+        if (props.includes('Id'))
+            this._sniId = cached('Id')?.deep_unpack() ?? '';
+
+        if (props.includes('IconThemePath'))
+            this._iconThemePath = cached('IconThemePath')?.deep_unpack() ?? null;
+
+        if (props.includes('ItemIsMenu'))
+            this._itemIsMenu = cached('ItemIsMenu')?.deep_unpack() ?? false;
+
+        if (props.includes('Menu'))
+            this._setMenuPath(cached('Menu')?.deep_unpack() ?? null);
+
+        if (props.some(p => p.startsWith('Attention'))) {
+            this._attentionIconName = cached('AttentionIconName')?.deep_unpack() ?? '';
+            this._attentionIconPixmap = cached('AttentionIconPixmap');
+            this._attentionMovieName = cached('AttentionMovieName')?.deep_unpack() ?? '';
+        }
+
+        if (props.some(p => p.startsWith('Overlay'))) {
+            this._overlayIconName = cached('OverlayIconName')?.deep_unpack() ?? '';
+            this._overlayIconPixmap = cached('OverlayIconPixmap');
+        }
+
+        let appIdChanged = false;
+        if (props.some(p => ['ToolTip', 'IconThemePath', 'Id'].includes(p)))
+            appIdChanged = this._resolveAppId();
+
+        if (props.includes('Status'))
+            this._setStatus(cached('Status')?.deep_unpack());
+
+        if (appIdChanged || props.some(p => p.startsWith('Icon')) ||
+            (this._status === 'NeedsAttention' && props.some(p => p.startsWith('Attention'))))
+            this._updateIcon();
+
+        if (appIdChanged || props.includes('IconThemePath') || props.some(p => p.startsWith('Overlay')))
+            this._updateOverlayIcon();
+
+        if ((props.includes('Title') || props.includes('ToolTip')) && this._tooltipActor?.visible)
+            this._syncTooltip();
+    }
+
     _fetchPropertiesFromProxy() {
         const iconThemePath = this._proxy.get_cached_property('IconThemePath');
         if (iconThemePath) {
@@ -353,10 +1185,27 @@ const TrayItem = GObject.registerClass({
         }
 
         const menuPath = this._proxy.get_cached_property('Menu');
-        if (menuPath) {
-            this._menuPath = menuPath.deep_unpack();
-            debug(`Got Menu path from proxy: ${this._menuPath}`);
-        }
+        this._setMenuPath(menuPath?.deep_unpack() ?? null);
+        debug(`Got Menu path from proxy: ${this._menuPath}`);
+
+        const itemIsMenu = this._proxy.get_cached_property('ItemIsMenu');
+        if (itemIsMenu)
+            this._itemIsMenu = itemIsMenu.deep_unpack();
+
+        this._attentionIconName = this._proxy.get_cached_property('AttentionIconName')?.deep_unpack() ?? '';
+        this._attentionIconPixmap = this._proxy.get_cached_property('AttentionIconPixmap');
+        this._attentionMovieName = this._proxy.get_cached_property('AttentionMovieName')?.deep_unpack() ?? '';
+
+        const status = this._proxy.get_cached_property('Status');
+        if (status)
+            this._setStatus(status.deep_unpack());
+
+        this._title = this._proxy.get_cached_property('Title')?.deep_unpack() ?? '';
+        this._toolTip = this._proxy.get_cached_property('ToolTip');
+        this._sniId = this._proxy.get_cached_property('Id')?.deep_unpack() ?? '';
+
+        this._overlayIconName = this._proxy.get_cached_property('OverlayIconName')?.deep_unpack() ?? '';
+        this._overlayIconPixmap = this._proxy.get_cached_property('OverlayIconPixmap');
 
         // Resolve app ID using priority order:
         // 1. ToolTip title (best for Electron apps)
@@ -366,17 +1215,25 @@ const TrayItem = GObject.registerClass({
         this._resolveAppId();
 
         this._updateIcon();
+        this._updateOverlayIcon();
     }
 
+    // Works from the stored ToolTip, IconThemePath and Id so it can be re-run
+    // whenever one of them changes.  Only the preliminary ID from the object
+    // path or bus name is ever replaced: settings are keyed by the resolved
+    // one, and ToolTip titles keep changing (media titles, status text).
+    // Returns true if the app ID changed.
     _resolveAppId() {
+        if (this._appIdResolved)
+            return false;
+
         const oldAppId = this._appId;
         let newAppId = null;
 
         // Try ToolTip title first (most reliable for Electron apps)
-        const toolTipVariant = this._proxy.get_cached_property('ToolTip');
-        if (toolTipVariant) {
+        if (this._toolTip) {
             try {
-                const toolTip = toolTipVariant.deep_unpack();
+                const toolTip = this._toolTip.deep_unpack();
                 // ToolTip is (sa(iiay)ss): icon_name, icon_pixmap, title, description
                 if (toolTip && toolTip.length >= 3 && toolTip[2] && toolTip[2].length > 0) {
                     newAppId = toolTip[2];
@@ -398,26 +1255,93 @@ const TrayItem = GObject.registerClass({
 
         // Try SNI Id (but skip generic chrome_status_icon_* names)
         if (!newAppId) {
-            const idVariant = this._proxy.get_cached_property('Id');
-            if (idVariant) {
-                const sniId = idVariant.deep_unpack();
-                if (sniId && sniId.length > 0 && !sniId.startsWith(':') && !sniId.startsWith('chrome_status_icon_')) {
-                    newAppId = sniId;
-                    debug(`Got app ID from SNI Id: ${newAppId}`);
-                }
+            const sniId = this._sniId;
+            if (sniId && sniId.length > 0 && !sniId.startsWith(':') && !sniId.startsWith('chrome_status_icon_')) {
+                newAppId = sniId;
+                debug(`Got app ID from SNI Id: ${newAppId}`);
             }
         }
 
-        if (newAppId && newAppId !== oldAppId) {
-            this._appId = newAppId;
-            debug(`Updated appId from ${oldAppId} to ${this._appId}`);
-            this.emit('appid-resolved', this._appId);
+        if (!newAppId)
+            return false;
+
+        this._appIdResolved = true;
+        if (newAppId === oldAppId)
+            return false;
+
+        this._appId = newAppId;
+        debug(`Updated appId from ${oldAppId} to ${this._appId}`);
+        this.emit('appid-resolved', this._appId);
+        return true;
+    }
+
+    _setMenuPath(menuPath) {
+        const wasKnown = this._menuPathKnown;
+        this._menuPathKnown = true;
+        if (menuPath === this._menuPath) {
+            // A menu opened while waiting for the path can now tell
+            // whether the app's own menu applies
+            if (!wasKnown && this.menu.isOpen)
+                this._loadMenu();
+            return;
         }
+
+        debug(`Menu path for ${this._busName}: ${this._menuPath} -> ${menuPath}`);
+        this._menuPath = menuPath;
+        this._menuRoot = null;
+        this._menuRevision = 0;
+        this._menuShowsLayout = false;
+        this._menuBackend = null;
+        this._releaseGMenu();
+        this._subscribeToMenuSignals();
+
+        if (this.menu.isOpen)
+            this._loadMenu();
+    }
+
+    // SNI Status: Passive items are hidden unless show-passive-items is set,
+    // NeedsAttention items get a style class themes can target.
+    _setStatus(status) {
+        const newStatus = status || 'Active';
+        if (newStatus === this._status)
+            return;
+
+        debug(`Status for ${this._busName}: ${this._status} -> ${newStatus}`);
+        const attentionChanged =
+            this._status === 'NeedsAttention' || newStatus === 'NeedsAttention';
+        this._status = newStatus;
+
+        if (newStatus === 'NeedsAttention')
+            this.add_style_class_name('status-tray-needs-attention');
+        else
+            this.remove_style_class_name('status-tray-needs-attention');
+
+        this._updateVisibility();
+
+        if (attentionChanged)
+            this._updateIcon();
+    }
+
+    _updateVisibility() {
+        const showPassive = this._settings?.get_boolean('show-passive-items') ?? false;
+        const visible = this._status !== 'Passive' || showPassive;
+
+        if (!visible && this.menu.isOpen)
+            this.menu.close();
+
+        this.container.visible = visible;
     }
 
     _updateIcon() {
         debug(`_updateIcon called for ${this._busName}`);
 
+        this._stopIconAnimation();
+        // Results of icon loads started before this point are stale
+        this._iconGeneration++;
+
+        if (this._status === 'NeedsAttention' && this._setAttentionIcon())
+            return;
+
         this._fallbackOverrideIcon = null;
         if (this._settings) {
             try {
@@ -460,7 +1384,8 @@ const TrayItem = GObject.registerClass({
                 this._setIcon(this._fallbackOverrideIcon);
                 return;
             }
-            debug(`No proxy available for ${this._busName}, skipping icon update`);
+            // Fallback items have no cached properties to read from
+            this._fetchIconDirect();
             return;
         }
 
@@ -498,30 +1423,493 @@ const TrayItem = GObject.registerClass({
         this._fetchIconDirect();
     }
 
-    _fetchIconDirect() {
-        const bus = Gio.DBus.session;
+    _hasAttentionIcon() {
+        return !!this._attentionMovieName || !!this._attentionIconName ||
+            this._attentionIconPixmap?.n_children() > 0;
+    }
 
-        bus.call(
-            this._busName,
-            this._objectPath,
-            'org.freedesktop.DBus.Properties',
-            'Get',
-            new GLib.Variant('(ss)', ['org.kde.StatusNotifierItem', 'IconThemePath']),
-            new GLib.VariantType('(v)'),
-            Gio.DBusCallFlags.NONE,
-            -1,
-            this._cancellable,
-            (conn, result) => {
-                try {
-                    const reply = conn.call_finish(result);
-                    const [variant] = reply.deep_unpack();
-                    this._iconThemePath = variant.deep_unpack();
-                    if (this._iconThemePath) {
-                        debug(`Got IconThemePath (direct): ${this._iconThemePath}`);
-                    }
-                } catch (e) {
-                    // IconThemePath is optional
-                    if (!e.message?.includes('No such property') &&
+    // Show the attention visuals, preferring the movie, then the attention
+    // icon name, then the attention pixmap.  Returns false when the item
+    // provides none of them so the regular icon is used instead.
+    _setAttentionIcon() {
+        const movieName = this._attentionMovieName;
+        if (movieName && movieName !== this._unusableMovieName) {
+            this._playAttentionMovie(movieName, this._iconGeneration);
+            // Shown while the movie loads
+            this._setStaticAttentionIcon();
+            return true;
+        }
+
+        return this._setStaticAttentionIcon();
+    }
+
+    _setStaticAttentionIcon() {
+        if (this._attentionIconName) {
+            debug(`Using AttentionIconName for ${this._busName}: ${this._attentionIconName}`);
+            this._setIcon(this._attentionIconName, 'AttentionIconPixmap');
+            return true;
+        }
+
+        if (this._attentionIconPixmap?.n_children() > 0) {
+            debug(`Using AttentionIconPixmap for ${this._busName}`);
+            this._setIconFromPixmap(this._attentionIconPixmap);
+            return true;
+        }
+
+        return false;
+    }
+
+    // The movie loads asynchronously; by the time it is ready the status or
+    // icon may have moved on, which the generation tells
+    async _playAttentionMovie(movieName, generation) {
+        const movie = await loadMovie(movieName, this._iconThemePath);
+        if (generation !== this._iconGeneration)
+            return;
+
+        try {
+            if (!movie)
+                throw new Error('not found');
+
+            const nextFrame = createMovieFrameSource(movie);
+            const [pixbuf, delay] = nextFrame();
+            const scaleFactor = St.ThemeContext.get_for_stage(global.stage).scale_factor;
+            const scaledSize = 16 * scaleFactor;
+
+            // Drops the static attention icon's pending pixmap fetch
+            this._iconGeneration++;
+            this._icon.set({
+                content: createImageContentFromPixbuf(pixbuf),
+                width: scaledSize,
+                height: scaledSize,
+                content_gravity: Clutter.ContentGravity.RESIZE_ASPECT,
+            });
+            this._clearIconExcept('content');
+            this._applySymbolicStyle();
+
+            this._scheduleMovieFrame(nextFrame, delay);
+            debug(`Playing AttentionMovieName ${movieName} for ${this._busName}`);
+        } catch (e) {
+            debug(`Failed to play attention movie ${movieName} for ${this._busName}: ${e.message}`);
+            this._stopIconAnimation();
+            // Fall back to the other attention visuals, or the regular icon
+            this._unusableMovieName = movieName;
+            if (this._status === 'NeedsAttention' && !this._setStaticAttentionIcon())
+                this._updateIcon();
+        }
+    }
+
+    _scheduleMovieFrame(nextFrame, delay) {
+        if (delay < 0)
+            return;
+
+        this._animationTimeoutId = GLib.timeout_add(GLib.PRIORITY_DEFAULT, Math.max(delay, 20), () => {
+            this._animationTimeoutId = 0;
+            try {
+                const [pixbuf, nextDelay] = nextFrame();
+                this._icon.content = createImageContentFromPixbuf(pixbuf);
+                this._scheduleMovieFrame(nextFrame, nextDelay);
+            } catch (e) {
+                debug(`Attention movie frame failed for ${this._busName}: ${e.message}`);
+            }
+            return GLib.SOURCE_REMOVE;
+        });
+    }
+
+    _stopIconAnimation() {
+        if (this._animationTimeoutId) {
+            GLib.source_remove(this._animationTimeoutId);
+            this._animationTimeoutId = 0;
+        }
+    }
+
+    async _fetchOverlayIconDirect() {
+        const [iconName, pixmap] = await Promise.all([
+            this._getPropertyDirect('OverlayIconName'),
+            this._getPropertyDirect('OverlayIconPixmap'),
+        ]);
+
+        // Destroyed while waiting
+        if (!this._cancellable)
+            return;
+
+        this._overlayIconName = iconName?.deep_unpack() ?? '';
+        this._overlayIconPixmap = pixmap;
+        debug(`Got overlay icon (direct) for ${this._busName}: "${this._overlayIconName}"`);
+
+        this._updateOverlayIcon();
+    }
+
+    _updateOverlayIcon() {
+        const suppressed = this._settings?.get_strv('overlay-disabled-apps').includes(this._appId) ?? false;
+        if (suppressed) {
+            this._overlayIcon.hide();
+            return;
+        }
+
+        if (this._overlayIconName) {
+            const iconPath = this._findIconFile(this._overlayIconName);
+            this._overlayIcon.content = null;
+            this._overlayIcon.set_size(-1, -1);
+            if (iconPath) {
+                this._overlayIcon.icon_name = null;
+                this._overlayIcon.gicon = new Gio.FileIcon({ file: Gio.File.new_for_path(iconPath) });
+            } else {
+                this._overlayIcon.gicon = null;
+                this._overlayIcon.icon_name = this._overlayIconName;
+            }
+            this._overlayIcon.show();
+            return;
+        }
+
+        const pixmap = this._overlayIconPixmap ? pickPixmap(this._overlayIconPixmap, 16) : null;
+        if (pixmap) {
+            try {
+                const scaleFactor = St.ThemeContext.get_for_stage(global.stage).scale_factor;
+                const scaledSize = 10 * scaleFactor;
+                this._overlayIcon.gicon = null;
+                this._overlayIcon.icon_name = null;
+                this._overlayIcon.set({
+                    content: createImageContent(pixmap.data, PIXMAPS_FORMAT,
+                        pixmap.width, pixmap.height, pixmap.width * 4),
+                    width: scaledSize,
+                    height: scaledSize,
+                    content_gravity: Clutter.ContentGravity.RESIZE_ASPECT,
+                });
+                this._overlayIcon.show();
+                return;
+            } catch (e) {
+                debug(`Failed to set OverlayIconPixmap for ${this._busName}: ${e.message}`);
+            }
+        }
+
+        this._overlayIcon.hide();
+    }
+
+    // Same lookup order as _setIcon: absolute path, IconThemePath, theme files
+    _findIconFile(iconName) {
+        if (iconName.startsWith('/'))
+            return GLib.file_test(iconName, GLib.FileTest.EXISTS) ? iconName : null;
+
+        if (this._iconThemePath) {
+            const possiblePaths = [
+                `${this._iconThemePath}/${iconName}.png`,
+                `${this._iconThemePath}/${iconName}.svg`,
+                `${this._iconThemePath}/hicolor/22x22/apps/${iconName}.png`,
+                `${this._iconThemePath}/hicolor/24x24/apps/${iconName}.png`,
+                `${this._iconThemePath}/hicolor/32x32/apps/${iconName}.png`,
+            ];
+            for (const path of possiblePaths) {
+                if (GLib.file_test(path, GLib.FileTest.EXISTS))
+                    return path;
+            }
+        }
+
+        return findIconInTheme(iconName);
+    }
+
+    async _fetchTitleDirect() {
+        const title = await this._getPropertyDirect('Title');
+
+        // Destroyed while waiting
+        if (!this._cancellable)
+            return;
+
+        this._title = title?.deep_unpack() ?? '';
+        debug(`Got Title (direct) for ${this._busName}: ${this._title}`);
+
+        if (this._tooltipActor?.visible)
+            this._syncTooltip();
+    }
+
+    // Electron apps often only settle on their real ToolTip title after
+    // startup, so a new ToolTip may still resolve a preliminary app ID.
+    async _fetchToolTipDirect() {
+        const toolTip = await this._getPropertyDirect('ToolTip');
+
+        // Destroyed while waiting
+        if (!this._cancellable)
+            return;
+
+        this._toolTip = toolTip;
+        debug(`Got ToolTip (direct) for ${this._busName}`);
+
+        if (this._resolveAppId()) {
+            this._updateIcon();
+            this._updateOverlayIcon();
+        }
+
+        if (this._tooltipActor?.visible)
+            this._syncTooltip();
+    }
+
+    _onNewIconThemePath(iconThemePath) {
+        this._iconThemePath = iconThemePath || null;
+
+        const appIdChanged = this._resolveAppId();
+
+        // A new app ID may bring an icon override with it, and
+        // _fetchIconDirect leaves attention visuals alone, so those cases
+        // go through _updateIcon.
+        if (appIdChanged || (this._status === 'NeedsAttention' && this._hasAttentionIcon()))
+            this._updateIcon();
+        else
+            this._fetchIconDirect();
+        this._updateOverlayIcon();
+    }
+
+    _onHoverChanged() {
+        if (this._tooltipShowId) {
+            GLib.source_remove(this._tooltipShowId);
+            this._tooltipShowId = 0;
+        }
+
+        if (!this.hover || this.menu.isOpen) {
+            this._hideTooltip();
+            return;
+        }
+
+        this._tooltipShowId = GLib.timeout_add(GLib.PRIORITY_DEFAULT, TOOLTIP_SHOW_DELAY_MS, () => {
+            this._tooltipShowId = 0;
+            this._showTooltip();
+            return GLib.SOURCE_REMOVE;
+        });
+    }
+
+    _showTooltip() {
+        if (!this._tooltipActor) {
+            this._tooltipActor = new St.Widget({
+                style_class: 'status-tray-tooltip',
+                layout_manager: new Clutter.BoxLayout({ spacing: 8 }),
+                visible: false,
+            });
+
+            this._tooltipIcon = new St.Icon({
+                style_class: 'status-tray-tooltip-icon',
+                y_align: Clutter.ActorAlign.START,
+            });
+            this._tooltipActor.add_child(this._tooltipIcon);
+
+            const textBox = new St.Widget({
+                layout_manager: new Clutter.BoxLayout({
+                    orientation: Clutter.Orientation.VERTICAL,
+                    spacing: 2,
+                }),
+            });
+            this._tooltipActor.add_child(textBox);
+
+            this._tooltipTitle = new St.Label({ style_class: 'status-tray-tooltip-title' });
+            textBox.add_child(this._tooltipTitle);
+
+            this._tooltipDescription = new St.Label({ style_class: 'status-tray-tooltip-description' });
+            this._tooltipDescription.clutter_text.set({
+                line_wrap: true,
+                line_wrap_mode: Pango.WrapMode.WORD_CHAR,
+                ellipsize: Pango.EllipsizeMode.NONE,
+            });
+            textBox.add_child(this._tooltipDescription);
+
+            Main.layoutManager.addTopChrome(this._tooltipActor, { affectsInputRegion: false });
+        }
+
+        if (!this._syncTooltip())
+            return;
+
+        this._tooltipActor.opacity = 0;
+        this._tooltipActor.show();
+        this._positionTooltip();
+        this._tooltipActor.ease({
+            opacity: 255,
+            duration: 150,
+            mode: Clutter.AnimationMode.EASE_OUT_QUAD,
+        });
+    }
+
+    _hideTooltip() {
+        if (this._tooltipShowId) {
+            GLib.source_remove(this._tooltipShowId);
+            this._tooltipShowId = 0;
+        }
+
+        if (this._tooltipActor) {
+            this._tooltipActor.remove_all_transitions();
+            this._tooltipActor.hide();
+        }
+    }
+
+    // Fill the tooltip from the SNI ToolTip (sa(iiay)ss): icon name, icon
+    // pixmap, title, description.  Title falls back to the SNI Title.
+    // Returns false when there is nothing to show.
+    _syncTooltip() {
+        let iconName = '';
+        let iconPixmap = null;
+        let title = '';
+        let description = '';
+
+        if (this._toolTip) {
+            try {
+                iconName = this._toolTip.get_child_value(0).get_string()[0];
+                iconPixmap = this._toolTip.get_child_value(1);
+                title = this._toolTip.get_child_value(2).get_string()[0];
+                description = this._toolTip.get_child_value(3).get_string()[0];
+            } catch (e) {
+                debug(`Failed to parse ToolTip for ${this._busName}: ${e.message}`);
+            }
+        }
+
+        if (!title)
+            title = this._title;
+
+        if (!title && !description) {
+            this._hideTooltip();
+            return false;
+        }
+
+        this._tooltipTitle.text = title;
+        this._tooltipTitle.visible = title.length > 0;
+
+        const markup = tooltipHtmlToPango(description);
+        this._tooltipDescription.clutter_text.set_markup(markup);
+        this._tooltipDescription.visible = markup.length > 0;
+
+        this._tooltipIcon.content = null;
+        this._tooltipIcon.gicon = null;
+        this._tooltipIcon.icon_name = null;
+        this._tooltipIcon.set_size(-1, -1);
+        this._tooltipIcon.visible = true;
+
+        const pixmap = iconPixmap ? pickPixmap(iconPixmap, 32) : null;
+        if (iconName) {
+            const iconPath = this._findIconFile(iconName);
+            if (iconPath)
+                this._tooltipIcon.gicon = new Gio.FileIcon({ file: Gio.File.new_for_path(iconPath) });
+            else
+                this._tooltipIcon.icon_name = iconName;
+        } else if (pixmap) {
+            try {
+                const scaleFactor = St.ThemeContext.get_for_stage(global.stage).scale_factor;
+                this._tooltipIcon.set({
+                    content: createImageContent(pixmap.data, PIXMAPS_FORMAT,
+                        pixmap.width, pixmap.height, pixmap.width * 4),
+                    width: 32 * scaleFactor,
+                    height: 32 * scaleFactor,
+                    content_gravity: Clutter.ContentGravity.RESIZE_ASPECT,
+                });
+            } catch (e) {
+                debug(`Failed to set ToolTip pixmap for ${this._busName}: ${e.message}`);
+                this._tooltipIcon.visible = false;
+            }
+        } else {
+            this._tooltipIcon.visible = false;
+        }
+
+        if (this._tooltipActor.visible)
+            this._positionTooltip();
+
+        return true;
+    }
+
+    // Below the panel button, centered and kept inside the monitor; above it
+    // when the panel is at the bottom of the screen.
+    _positionTooltip() {
+        const monitor = Main.layoutManager.findMonitorForActor(this);
+        if (!monitor)
+            return;
+
+        const [buttonX, buttonY] = this.get_transformed_position();
+        const [buttonWidth, buttonHeight] = this.get_transformed_size();
+        const [, , tooltipWidth, tooltipHeight] = this._tooltipActor.get_preferred_size();
+        const gap = 6;
+
+        let x = Math.round(buttonX + (buttonWidth - tooltipWidth) / 2);
+        x = Math.max(monitor.x + gap, Math.min(x, monitor.x + monitor.width - tooltipWidth - gap));
+
+        let y = Math.round(buttonY + buttonHeight + gap);
+        if (y + tooltipHeight > monitor.y + monitor.height)
+            y = Math.round(buttonY - tooltipHeight - gap);
+
+        this._tooltipActor.set_position(x, y);
+    }
+
+    // Resolves to the property's value variant, or null if it can't be read
+    _getPropertyDirect(propertyName) {
+        return new Promise(resolve => {
+            Gio.DBus.session.call(
+                this._busName,
+                this._objectPath,
+                'org.freedesktop.DBus.Properties',
+                'Get',
+                new GLib.Variant('(ss)', [this._interfaceName, propertyName]),
+                new GLib.VariantType('(v)'),
+                Gio.DBusCallFlags.NONE,
+                -1,
+                this._cancellable,
+                (conn, result) => {
+                    try {
+                        const reply = conn.call_finish(result);
+                        const [variant] = reply.deep_unpack();
+                        resolve(variant);
+                    } catch (e) {
+                        resolve(null);
+                    }
+                }
+            );
+        });
+    }
+
+    async _fetchAttentionIconDirect() {
+        const [iconName, pixmap, movieName] = await Promise.all([
+            this._getPropertyDirect('AttentionIconName'),
+            this._getPropertyDirect('AttentionIconPixmap'),
+            this._getPropertyDirect('AttentionMovieName'),
+        ]);
+
+        // Destroyed while waiting
+        if (!this._cancellable)
+            return;
+
+        this._attentionIconName = iconName?.deep_unpack() ?? '';
+        this._attentionIconPixmap = pixmap;
+        this._attentionMovieName = movieName?.deep_unpack() ?? '';
+        debug(`Got attention icon (direct) for ${this._busName}: ` +
+            `name="${this._attentionIconName}", movie="${this._attentionMovieName}"`);
+
+        if (this._status === 'NeedsAttention')
+            this._updateIcon();
+    }
+
+    _fetchIconDirect() {
+        // The regular icon stays hidden while attention visuals are shown;
+        // it is re-read when the status changes back.
+        if (this._status === 'NeedsAttention' && this._hasAttentionIcon()) {
+            debug(`Skipping icon refetch for ${this._busName}, attention icon shown`);
+            return;
+        }
+
+        this._stopIconAnimation();
+
+        const bus = Gio.DBus.session;
+
+        bus.call(
+            this._busName,
+            this._objectPath,
+            'org.freedesktop.DBus.Properties',
+            'Get',
+            new GLib.Variant('(ss)', [this._interfaceName, 'IconThemePath']),
+            new GLib.VariantType('(v)'),
+            Gio.DBusCallFlags.NONE,
+            -1,
+            this._cancellable,
+            (conn, result) => {
+                try {
+                    const reply = conn.call_finish(result);
+                    const [variant] = reply.deep_unpack();
+                    this._iconThemePath = variant.deep_unpack();
+                    if (this._iconThemePath) {
+                        debug(`Got IconThemePath (direct): ${this._iconThemePath}`);
+                    }
+                } catch (e) {
+                    // IconThemePath is optional
+                    if (!e.message?.includes('No such property') &&
                         !e.message?.includes('CANCELLED')) {
                         debug(`IconThemePath fetch issue: ${e.message}`);
                     }
@@ -540,7 +1928,7 @@ const TrayItem = GObject.registerClass({
             this._objectPath,
             'org.freedesktop.DBus.Properties',
             'Get',
-            new GLib.Variant('(ss)', ['org.kde.StatusNotifierItem', 'IconName']),
+            new GLib.Variant('(ss)', [this._interfaceName, 'IconName']),
             new GLib.VariantType('(v)'),
             Gio.DBusCallFlags.NONE,
             -1,
@@ -583,7 +1971,7 @@ const TrayItem = GObject.registerClass({
             this._objectPath,
             'org.freedesktop.DBus.Properties',
             'Get',
-            new GLib.Variant('(ss)', ['org.kde.StatusNotifierItem', 'IconPixmap']),
+            new GLib.Variant('(ss)', [this._interfaceName, 'IconPixmap']),
             new GLib.VariantType('(v)'),
             Gio.DBusCallFlags.NONE,
             -1,
@@ -602,35 +1990,41 @@ const TrayItem = GObject.registerClass({
         );
     }
 
-    _fetchIconPixmapWithFallback(iconName) {
+    _fetchIconPixmapWithFallback(iconName, pixmapProperty = 'IconPixmap') {
         const bus = Gio.DBus.session;
+        const generation = this._iconGeneration;
 
         bus.call(
             this._busName,
             this._objectPath,
             'org.freedesktop.DBus.Properties',
             'Get',
-            new GLib.Variant('(ss)', ['org.kde.StatusNotifierItem', 'IconPixmap']),
+            new GLib.Variant('(ss)', [this._interfaceName, pixmapProperty]),
             new GLib.VariantType('(v)'),
             Gio.DBusCallFlags.NONE,
             -1,
             this._cancellable,
             (conn, result) => {
+                // The icon was updated meanwhile, or attention ended
+                if (generation !== this._iconGeneration ||
+                    (pixmapProperty === 'AttentionIconPixmap' && this._status !== 'NeedsAttention'))
+                    return;
+
                 try {
                     const reply = conn.call_finish(result);
                     const [variant] = reply.deep_unpack();
                     const pixmaps = variant.deep_unpack();
 
                     if (pixmaps && pixmaps.length > 0) {
-                        debug(`Got IconPixmap for sandboxed app`);
+                        debug(`Got ${pixmapProperty} for sandboxed app`);
                         this._setIconFromPixmap(variant);
                     } else {
-                        debug(`No IconPixmap available, falling back for: ${iconName}`);
+                        debug(`No ${pixmapProperty} available, falling back for: ${iconName}`);
                         this._setIconFromThemeFile(iconName);
                     }
                 } catch (e) {
                     if (!e.message?.includes('CANCELLED')) {
-                        debug(`IconPixmap failed for sandboxed app: ${e.message}`);
+                        debug(`${pixmapProperty} failed for sandboxed app: ${e.message}`);
                         debug(`Falling back for: ${iconName}`);
                         this._setIconFromThemeFile(iconName);
                     }
@@ -644,7 +2038,7 @@ const TrayItem = GObject.registerClass({
 
         const newIconId = bus.signal_subscribe(
             this._busName,
-            'org.kde.StatusNotifierItem',
+            this._interfaceName,
             'NewIcon',
             this._objectPath,
             null,
@@ -662,7 +2056,7 @@ const TrayItem = GObject.registerClass({
 
         const newStatusId = bus.signal_subscribe(
             this._busName,
-            'org.kde.StatusNotifierItem',
+            this._interfaceName,
             'NewStatus',
             this._objectPath,
             null,
@@ -670,10 +2064,97 @@ const TrayItem = GObject.registerClass({
             (conn, sender, path, iface, signal, params) => {
                 const [status] = params.deep_unpack();
                 debug(`NewStatus signal for ${this._busName}: ${status}`);
+                this._setStatus(status);
             }
         );
         this._signalIds.push(newStatusId);
 
+        const newAttentionIconId = bus.signal_subscribe(
+            this._busName,
+            this._interfaceName,
+            'NewAttentionIcon',
+            this._objectPath,
+            null,
+            Gio.DBusSignalFlags.NONE,
+            () => {
+                debug(`NewAttentionIcon signal for ${this._busName}`);
+                this._fetchAttentionIconDirect();
+            }
+        );
+        this._signalIds.push(newAttentionIconId);
+
+        const newOverlayIconId = bus.signal_subscribe(
+            this._busName,
+            this._interfaceName,
+            'NewOverlayIcon',
+            this._objectPath,
+            null,
+            Gio.DBusSignalFlags.NONE,
+            () => {
+                debug(`NewOverlayIcon signal for ${this._busName}`);
+                this._fetchOverlayIconDirect();
+            }
+        );
+        this._signalIds.push(newOverlayIconId);
+
+        const newToolTipId = bus.signal_subscribe(
+            this._busName,
+            this._interfaceName,
+            'NewToolTip',
+            this._objectPath,
+            null,
+            Gio.DBusSignalFlags.NONE,
+            () => {
+                debug(`NewToolTip signal for ${this._busName}`);
+                this._fetchToolTipDirect();
+            }
+        );
+        this._signalIds.push(newToolTipId);
+
+        const newTitleId = bus.signal_subscribe(
+            this._busName,
+            this._interfaceName,
+            'NewTitle',
+            this._objectPath,
+            null,
+            Gio.DBusSignalFlags.NONE,
+            () => {
+                debug(`NewTitle signal for ${this._busName}`);
+                this._fetchTitleDirect();
+            }
+        );
+        this._signalIds.push(newTitleId);
+
+        const newIconThemePathId = bus.signal_subscribe(
+            this._busName,
+            this._interfaceName,
+            'NewIconThemePath',
+            this._objectPath,
+            null,
+            Gio.DBusSignalFlags.NONE,
+            (conn, sender, path, iface, signal, params) => {
+                const [iconThemePath] = params.deep_unpack();
+                debug(`NewIconThemePath signal for ${this._busName}: ${iconThemePath}`);
+                this._onNewIconThemePath(iconThemePath);
+            }
+        );
+        this._signalIds.push(newIconThemePathId);
+
+        // KDE extension: the menu object path changed
+        const newMenuId = bus.signal_subscribe(
+            this._busName,
+            this._interfaceName,
+            'NewMenu',
+            this._objectPath,
+            null,
+            Gio.DBusSignalFlags.NONE,
+            () => {
+                debug(`NewMenu signal for ${this._busName}`);
+                this._fetchMenuPathDirect();
+            }
+        );
+        this._signalIds.push(newMenuId);
+
         const nameWatchId = bus.signal_subscribe(
             'org.freedesktop.DBus',
             'org.freedesktop.DBus',
@@ -696,19 +2177,48 @@ const TrayItem = GObject.registerClass({
         this._fetchIdDirect();
         this._fetchIconDirect();
         this._fetchMenuPathDirect();
+        this._fetchItemIsMenuDirect();
+        this._fetchAttentionIconDirect();
+        this._fetchOverlayIconDirect();
+        this._fetchStatusDirect();
         this._subscribeToSignals();
     }
 
-    _fetchIdDirect() {
+    // Read the properties the app ID is derived from, then resolve it the
+    // same way as the proxy path does.
+    async _fetchIdDirect() {
+        const [toolTip, title, iconThemePath, sniId] = await Promise.all([
+            this._getPropertyDirect('ToolTip'),
+            this._getPropertyDirect('Title'),
+            this._getPropertyDirect('IconThemePath'),
+            this._getPropertyDirect('Id'),
+        ]);
+
+        // Destroyed while waiting
+        if (!this._cancellable)
+            return;
+
+        this._toolTip = toolTip;
+        this._title = title?.deep_unpack() ?? '';
+        if (iconThemePath)
+            this._iconThemePath = iconThemePath.deep_unpack();
+        this._sniId = sniId?.deep_unpack() ?? '';
+
+        if (this._resolveAppId()) {
+            this._updateIcon();
+            this._updateOverlayIcon();
+        }
+    }
+
+    _fetchMenuPathDirect() {
         const bus = Gio.DBus.session;
 
-        // Fetch ToolTip first (highest priority for Electron apps)
         bus.call(
             this._busName,
             this._objectPath,
             'org.freedesktop.DBus.Properties',
             'Get',
-            new GLib.Variant('(ss)', ['org.kde.StatusNotifierItem', 'ToolTip']),
+            new GLib.Variant('(ss)', [this._interfaceName, 'Menu']),
             new GLib.VariantType('(v)'),
             Gio.DBusCallFlags.NONE,
             -1,
@@ -717,67 +2227,22 @@ const TrayItem = GObject.registerClass({
                 try {
                     const reply = conn.call_finish(result);
                     const [variant] = reply.deep_unpack();
-                    const toolTip = variant.deep_unpack();
-                    // ToolTip is (sa(iiay)ss): icon_name, icon_pixmap, title, description
-                    if (toolTip && toolTip.length >= 3 && toolTip[2] && toolTip[2].length > 0) {
-                        const oldAppId = this._appId;
-                        this._appId = toolTip[2];
-                        debug(`Updated appId from ${oldAppId} to ${this._appId} (from ToolTip, fallback)`);
-                        this.emit('appid-resolved', this._appId);
-                        return; // ToolTip found, no need to try other sources
-                    }
-                } catch (e) {
-                    if (!e.message?.includes('CANCELLED')) {
-                        debug(`Failed to get ToolTip (fallback): ${e.message}`);
-                    }
-                }
-                // ToolTip not available, try IconThemePath for Flatpak ID
-                this._fetchIdFromIconThemePathDirect();
-            }
-        );
-    }
-
-    _fetchIdFromIconThemePathDirect() {
-        const bus = Gio.DBus.session;
+                    const menuPath = variant.deep_unpack();
+                    this._setMenuPath(menuPath ? menuPath.toString() : null);
 
-        bus.call(
-            this._busName,
-            this._objectPath,
-            'org.freedesktop.DBus.Properties',
-            'Get',
-            new GLib.Variant('(ss)', ['org.kde.StatusNotifierItem', 'IconThemePath']),
-            new GLib.VariantType('(v)'),
-            Gio.DBusCallFlags.NONE,
-            -1,
-            this._cancellable,
-            (conn, result) => {
-                try {
-                    const reply = conn.call_finish(result);
-                    const [variant] = reply.deep_unpack();
-                    const iconThemePath = variant.deep_unpack();
-                    if (iconThemePath) {
-                        this._iconThemePath = iconThemePath;
-                        const flatpakId = extractFlatpakAppId(iconThemePath);
-                        if (flatpakId) {
-                            const oldAppId = this._appId;
-                            this._appId = flatpakId;
-                            debug(`Updated appId from ${oldAppId} to ${this._appId} (from Flatpak path, fallback)`);
-                            this.emit('appid-resolved', this._appId);
-                            return;
-                        }
-                    }
+                    debug(`Got Menu path (direct): ${this._menuPath}`);
                 } catch (e) {
                     if (!e.message?.includes('CANCELLED')) {
-                        debug(`Failed to get IconThemePath (fallback): ${e.message}`);
+                        // No Menu property: the ContextMenu fallback applies
+                        debug(`Failed to get Menu path: ${e}`);
+                        this._setMenuPath(null);
                     }
                 }
-                // No Flatpak ID, try SNI Id as last resort
-                this._fetchSniIdDirect();
             }
         );
     }
 
-    _fetchSniIdDirect() {
+    _fetchItemIsMenuDirect() {
         const bus = Gio.DBus.session;
 
         bus.call(
@@ -785,7 +2250,7 @@ const TrayItem = GObject.registerClass({
             this._objectPath,
             'org.freedesktop.DBus.Properties',
             'Get',
-            new GLib.Variant('(ss)', ['org.kde.StatusNotifierItem', 'Id']),
+            new GLib.Variant('(ss)', [this._interfaceName, 'ItemIsMenu']),
             new GLib.VariantType('(v)'),
             Gio.DBusCallFlags.NONE,
             -1,
@@ -794,23 +2259,16 @@ const TrayItem = GObject.registerClass({
                 try {
                     const reply = conn.call_finish(result);
                     const [variant] = reply.deep_unpack();
-                    const sniId = variant.deep_unpack();
-                    if (sniId && sniId.length > 0 && !sniId.startsWith(':') && !sniId.startsWith('chrome_status_icon_')) {
-                        const oldAppId = this._appId;
-                        this._appId = sniId;
-                        debug(`Updated appId from ${oldAppId} to ${this._appId} (from SNI Id, fallback)`);
-                        this.emit('appid-resolved', this._appId);
-                    }
+                    this._itemIsMenu = variant.deep_unpack();
+                    debug(`Got ItemIsMenu (direct): ${this._itemIsMenu}`);
                 } catch (e) {
-                    if (!e.message?.includes('CANCELLED')) {
-                        debug(`Failed to get SNI Id: ${e.message}`);
-                    }
+                    // ItemIsMenu is optional and defaults to false
                 }
             }
         );
     }
 
-    _fetchMenuPathDirect() {
+    _fetchStatusDirect() {
         const bus = Gio.DBus.session;
 
         bus.call(
@@ -818,7 +2276,7 @@ const TrayItem = GObject.registerClass({
             this._objectPath,
             'org.freedesktop.DBus.Properties',
             'Get',
-            new GLib.Variant('(ss)', ['org.kde.StatusNotifierItem', 'Menu']),
+            new GLib.Variant('(ss)', [this._interfaceName, 'Status']),
             new GLib.VariantType('(v)'),
             Gio.DBusCallFlags.NONE,
             -1,
@@ -827,26 +2285,19 @@ const TrayItem = GObject.registerClass({
                 try {
                     const reply = conn.call_finish(result);
                     const [variant] = reply.deep_unpack();
-                    const menuPath = variant.deep_unpack();
-
-                    if (typeof menuPath === 'string') {
-                        this._menuPath = menuPath;
-                    } else if (menuPath && menuPath.toString) {
-                        this._menuPath = menuPath.toString();
-                    }
-
-                    debug(`Got Menu path (direct): ${this._menuPath}`);
+                    this._setStatus(variant.deep_unpack());
                 } catch (e) {
                     if (!e.message?.includes('CANCELLED')) {
-                        debug(`Failed to get Menu path: ${e}`);
+                        debug(`Failed to get Status: ${e.message}`);
                     }
-                    this._menuPath = '/MenuBar';
                 }
             }
         );
     }
 
-    _setIcon(iconName) {
+    // pixmapProperty names the pixmap to fall back to when the icon can't be
+    // read from IconThemePath (IconPixmap, or AttentionIconPixmap).
+    _setIcon(iconName, pixmapProperty = 'IconPixmap') {
         debug(`_setIcon called with: ${iconName}, themePath: ${this._iconThemePath}`);
 
         if (iconName.startsWith('/')) {
@@ -897,8 +2348,8 @@ const TrayItem = GObject.registerClass({
                 return;
             }
 
-            debug(`IconThemePath inaccessible (possibly sandboxed), trying IconPixmap`);
-            this._fetchIconPixmapWithFallback(iconName);
+            debug(`IconThemePath inaccessible (possibly sandboxed), trying ${pixmapProperty}`);
+            this._fetchIconPixmapWithFallback(iconName, pixmapProperty);
             return;
         }
 
@@ -1076,11 +2527,6 @@ const TrayItem = GObject.registerClass({
             debug(`Using IconPixmap ${width}x${height} for ${this._busName}`);
 
             try {
-                const imageContent = new St.ImageContent({
-                    preferred_width: width,
-                    preferred_height: height,
-                });
-
                 let pixelBytes;
                 if (pixelData instanceof GLib.Bytes) {
                     pixelBytes = pixelData;
@@ -1090,26 +2536,8 @@ const TrayItem = GObject.registerClass({
                     pixelBytes = GLib.Bytes.new(pixelData);
                 }
 
-                // Check if we need to pass cogl context (GNOME 48+)
-                const mutterBackend = global.stage?.context?.get_backend?.();
-                if (imageContent.set_bytes.length === 6 && mutterBackend?.get_cogl_context) {
-                    imageContent.set_bytes(
-                        mutterBackend.get_cogl_context(),
-                        pixelBytes,
-                        PIXMAPS_FORMAT,
-                        width,
-                        height,
-                        rowStride
-                    );
-                } else {
-                    imageContent.set_bytes(
-                        pixelBytes,
-                        PIXMAPS_FORMAT,
-                        width,
-                        height,
-                        rowStride
-                    );
-                }
+                const imageContent = createImageContent(
+                    pixelBytes, PIXMAPS_FORMAT, width, height, rowStride);
 
                 const scaleFactor = St.ThemeContext.get_for_stage(global.stage).scale_factor;
                 const scaledSize = 16 * scaleFactor;
@@ -1196,17 +2624,70 @@ const TrayItem = GObject.registerClass({
     _loadMenu() {
         debug(`_loadMenu called for ${this._busName}, menuPath=${this._menuPath}`);
 
+        // Opened some other way (e.g. keyboard navigation between panel menus)
+        if (this._shouldUseContextMenu()) {
+            this.menu.close();
+            this._showContextMenu();
+            return;
+        }
+
+        // The Menu property is still being read; _setMenuPath() reloads
+        if (!this._menuPathKnown) {
+            this._menuShowsLayout = false;
+            this.menu.removeAll();
+            this.menu.addMenuItem(new PopupMenu.PopupMenuItem('Loading...', {
+                reactive: false,
+                style_class: 'popup-inactive-menu-item',
+            }));
+            return;
+        }
+
         if (!this._menuPath) {
             debug(`No menu path for ${this._busName}`);
+            this._menuShowsLayout = false;
+            this.menu.removeAll();
+            this.menu.addMenuItem(new PopupMenu.PopupMenuItem('No menu available', {
+                reactive: false,
+                style_class: 'popup-inactive-menu-item',
+            }));
+            this._addHostSection();
             return;
         }
 
-        this.menu.removeAll();
-        const loadingItem = new PopupMenu.PopupMenuItem('Loading...', {
-            reactive: false,
-            style_class: 'popup-inactive-menu-item',
-        });
-        this.menu.addMenuItem(loadingItem);
+        // Show the last known layout right away; the fresh one fetched
+        // below is reconciled into it.  Only a first open has to wait.
+        if (this._menuRoot) {
+            if (!this._menuShowsLayout)
+                this._renderMenu();
+        } else {
+            this.menu.removeAll();
+            this._menuShowsLayout = false;
+            const loadingItem = new PopupMenu.PopupMenuItem('Loading...', {
+                reactive: false,
+                style_class: 'popup-inactive-menu-item',
+            });
+            this.menu.addMenuItem(loadingItem);
+        }
+
+        if (!this._menuBackend) {
+            this._detectMenuBackend().then(backend => {
+                this._menuBackend = backend;
+                if (this.menu.isOpen)
+                    this._loadMenu();
+            });
+            return;
+        }
+
+        if (this._menuBackend === 'gmenu') {
+            this._loadGMenu();
+            return;
+        }
+
+        // Announced only once the menu is known to be a DBusMenu
+        if (!this._openMenuIds.has(0)) {
+            this._openMenuIds.add(0);
+            this._queueMenuEvent(0, 'opened');
+        }
 
         const bus = Gio.DBus.session;
 
@@ -1222,13 +2703,20 @@ const TrayItem = GObject.registerClass({
             new GLib.Variant('(i)', [0]),
             new GLib.VariantType('(b)'),
             Gio.DBusCallFlags.NONE,
-            -1,
-            null,
+            MENU_CALL_TIMEOUT_MS,
+            this._cancellable,
             (conn, result) => {
                 try {
                     conn.call_finish(result);
                     debug(`AboutToShow succeeded for ${this._busName}`);
                 } catch (e) {
+                    if (e.matches(Gio.IOErrorEnum, Gio.IOErrorEnum.CANCELLED))
+                        return;
+                    // A hung app would only time out again on GetLayout
+                    if (e.matches(Gio.IOErrorEnum, Gio.IOErrorEnum.TIMED_OUT)) {
+                        this._showMenuNotResponding(e);
+                        return;
+                    }
                     debug(`AboutToShow failed (may be ok): ${e}`);
                 }
 
@@ -1254,140 +2742,1361 @@ const TrayItem = GObject.registerClass({
             new GLib.Variant('(iias)', [0, -1, []]),
             new GLib.VariantType('(u(ia{sv}av))'),
             Gio.DBusCallFlags.NONE,
-            -1,
-            null,
+            MENU_CALL_TIMEOUT_MS,
+            this._cancellable,
             (conn, result) => {
                 try {
                     const reply = conn.call_finish(result);
                     const [revision, layout] = reply.deep_unpack();
                     debug(`Got menu layout, revision ${revision}`);
-                    this.menu.removeAll();
-                    this._buildMenuFromLayout(layout);
+                    // A reply overtaken by a newer full layout
+                    if (this._menuRoot && revision < this._menuRevision)
+                        return;
+                    this._menuRevision = revision;
+                    this._reconcileMenuLayout(parseMenuLayout(layout));
                 } catch (e) {
+                    if (e.matches(Gio.IOErrorEnum, Gio.IOErrorEnum.CANCELLED))
+                        return;
                     debug(`Failed to get menu layout: ${e}`);
+                    this._showMenuNotResponding(e);
                 }
             }
         );
     }
 
-    _buildMenuFromLayout(layout) {
-        const [rootId, rootProps, children] = layout;
+    _buildMenuFromLayout(root) {
+        this._menuRoot = root;
+        this._menuNodes.clear();
+        this._indexMenuNodes(this._menuRoot);
+        this._renderMenu();
+    }
+
+    // Bring the shown (cached) menu up to date with a freshly fetched
+    // layout, touching only what differs
+    _reconcileMenuLayout(newRoot) {
+        if (!this._menuRoot || !this._menuShowsLayout || this._menuRoot.id !== newRoot.id) {
+            this._buildMenuFromLayout(newRoot);
+            return;
+        }
+
+        this._reconcileMenuNode(this._menuRoot, newRoot);
+    }
+
+    // Merge a freshly fetched copy of node's subtree into the model.  The
+    // rendered (sub)menus of nodes whose children changed are synced in
+    // place; nodes with only changed properties are updated.
+    _reconcileMenuNode(node, newNode) {
+        const changedSubtrees = [];
+        const changedProperties = new Map();
+
+        const compare = (oldNode, newNode) => {
+            const oldProps = oldNode.properties;
+            const newProps = newNode.properties;
+            const names = [...new Set([...Object.keys(oldProps), ...Object.keys(newProps)])]
+                .filter(name => !menuValuesEqual(oldProps[name], newProps[name]));
+            if (names.length > 0)
+                changedProperties.set(oldNode.id, names);
+            oldNode.properties = newProps;
+
+            const oldIds = oldNode.children.map(child => child.id);
+            const newIds = newNode.children.map(child => child.id);
+            if (!menuValuesEqual(oldIds, newIds)) {
+                oldNode.children = newNode.children;
+                changedSubtrees.push(oldNode);
+                return;
+            }
+
+            oldNode.children.forEach((child, i) => compare(child, newNode.children[i]));
+        };
+        compare(node, newNode);
+
+        if (changedSubtrees.length === 0 && changedProperties.size === 0) {
+            debug(`Menu layout unchanged for ${this._busName}`);
+            return;
+        }
+
+        debug(`Reconciling menu for ${this._busName}: ${changedSubtrees.length} subtrees, ` +
+            `${changedProperties.size} items changed`);
+
+        // Replaced children take their ids with them; stale ids must not
+        // keep matching ItemsPropertiesUpdated
+        if (changedSubtrees.length > 0) {
+            this._menuNodes.clear();
+            this._indexMenuNodes(this._menuRoot);
+        }
+
+        const containerIds = new Set(changedSubtrees.map(subtree =>
+            this._menuContainers.has(subtree.id) ? subtree.id : this._findMenuParentId(subtree.id)));
+        for (const parentId of containerIds)
+            this._rerenderMenuContainer(parentId);
+
+        this._applyMenuPropertyChanges(changedProperties);
+    }
+
+    _indexMenuNodes(node) {
+        this._menuNodes.set(node.id, node);
+        for (const child of node.children)
+            this._indexMenuNodes(child);
+    }
 
-        if (!children || children.length === 0) {
+    _renderMenu() {
+        this.menu.removeAll();
+        this._menuShowsLayout = true;
+        this._menuItems.clear();
+        this._menuContainers.clear();
+        this._menuContainers.set(this._menuRoot.id, this.menu);
+
+        if (this._menuRoot.children.length === 0)
             debug('Menu has no items');
+        else
+            this._renderMenuNodes(this.menu, this._menuRoot.children, 0);
+
+        this._addHostSection();
+
+        if (this._menuFilter)
+            this._applyMenuFilter();
+    }
+
+    // Our own actions for this icon, below the app's menu.  Bus-name IDs
+    // change on every app start, so settings keyed by them are pointless.
+    _addHostSection() {
+        if (!this._settings?.get_boolean('show-menu-host-section'))
+            return;
+
+        const section = new PopupMenu.PopupMenuSection();
+        const hasStableId = !!this._appId && !this._appId.startsWith(':');
+
+        const actions = [
+            ['Hide this icon', () => this._hideFromTray()],
+            ['Move left', () => this.emit('move-requested', -1)],
+            ['Move right', () => this.emit('move-requested', 1)],
+            ['Change icon…', () => this.emit('preferences-requested', 'icon')],
+            ['Adjust effects…', () => this.emit('preferences-requested', 'effects')],
+        ];
+        for (const [label, callback] of actions) {
+            const item = section.addAction(label, callback);
+            item.setSensitive(hasStableId);
+        }
+
+        if (!this.menu.isEmpty())
+            section.addMenuItem(new PopupMenu.PopupSeparatorMenuItem(), 0);
+        this.menu.addMenuItem(section);
+
+        this._hostSection = section;
+        section.connect('destroy', () => {
+            if (this._hostSection === section)
+                this._hostSection = null;
+        });
+    }
+
+    // Writing disabled-apps destroys this item and its menu, so wait until
+    // the menu has finished handling the activation and closed
+    _hideFromTray() {
+        this.menu.close();
+        if (this._hideIdleId)
             return;
+
+        this._hideIdleId = GLib.idle_add(GLib.PRIORITY_DEFAULT_IDLE, () => {
+            this._hideIdleId = 0;
+            const disabledApps = this._settings.get_strv('disabled-apps');
+            if (!disabledApps.includes(this._appId)) {
+                disabledApps.push(this._appId);
+                this._settings.set_strv('disabled-apps', disabledApps);
+            }
+            return GLib.SOURCE_REMOVE;
+        });
+    }
+
+    // Bring the items of one rendered (sub)menu in line with its nodes,
+    // e.g. after LayoutUpdated for its parent id.  Items whose node kept
+    // its id and kind are updated and reused, so open submenus and key
+    // focus survive; only added, removed or changed-kind items are created
+    // or destroyed.
+    _rerenderMenuContainer(parentId) {
+        const menu = this._menuContainers.get(parentId);
+        const parentNode = this._menuNodes.get(parentId);
+        if (!menu || !parentNode) {
+            this._renderMenu();
+            return;
+        }
+
+        const depth = menu === this.menu ? 0 : (this._menuItems.get(parentId)?.depth ?? 0) + 1;
+        const entries = [];
+        this._planMenuNodes(parentNode.children, depth, entries, null);
+
+        const oldRecords = new Map();
+        for (const [id, record] of this._menuItems) {
+            if (record.menu === menu)
+                oldRecords.set(id, record);
+        }
+
+        const kept = new Set();
+        for (const entry of entries) {
+            const record = oldRecords.get(entry.node.id);
+            if (record?.key === entry.key)
+                kept.add(record.item);
+        }
+
+        // Also sweeps out the "Empty" placeholder
+        for (const [id, record] of oldRecords) {
+            if (!kept.has(record.item))
+                this._forgetMenuItem(id);
+        }
+        for (const item of menu._getMenuItems()) {
+            if (!kept.has(item) && item !== this._hostSection && item !== this._filterItem)
+                item.destroy();
+        }
+
+        // The filter row stays on top of the top-level menu
+        const offset = menu === this.menu && this._filterItem ? 1 : 0;
+        entries.forEach((entry, index) => {
+            const { id } = entry.node;
+            const record = oldRecords.get(id);
+            if (!record || !kept.has(record.item)) {
+                this._addMenuEntry(menu, entry, index + offset);
+                return;
+            }
+
+            record.node = entry.node;
+            this._placeMenuItem(menu, record.item, index + offset);
+            if (entry.kind === 'separator')
+                return;
+
+            this._updateMenuItemIcon(record, entry.gicon);
+            this._applyMenuItemProperties(id);
+            if (entry.kind === 'submenu')
+                this._rerenderMenuContainer(id);
+        });
+
+        if (parentNode.children.length === 0 && menu !== this.menu)
+            this._addEmptyMenuItem(menu);
+
+        if (this._menuFilter)
+            this._applyMenuFilter();
+    }
+
+    // Drop the record of an item that is going away, and with a top-level
+    // submenu the records of everything inside it
+    _forgetMenuItem(id) {
+        this._menuItems.delete(id);
+
+        const submenu = this._menuContainers.get(id);
+        if (!submenu || submenu === this.menu)
+            return;
+
+        this._menuContainers.delete(id);
+        for (const [childId, record] of this._menuItems) {
+            if (record.menu === submenu)
+                this._menuItems.delete(childId);
+        }
+    }
+
+    // PopupMenuBase.moveMenuItem() leaves a submenu's actor behind its
+    // item, so move both ourselves, and only when out of place
+    _placeMenuItem(menu, item, position) {
+        const current = menu._getMenuItems()[position];
+        if (!current || current === item)
+            return;
+
+        menu.box.set_child_below_sibling(item.actor, current.actor);
+        if (item instanceof PopupMenu.PopupSubMenuMenuItem)
+            menu.box.set_child_above_sibling(item.menu.actor, item.actor);
+    }
+
+    _renderMenuNodes(menu, nodes, depth) {
+        const entries = [];
+        this._planMenuNodes(nodes, depth, entries, null);
+        for (const entry of entries)
+            this._addMenuEntry(menu, entry);
+
+        if (nodes.length === 0 && menu !== this.menu)
+            this._addEmptyMenuItem(menu);
+    }
+
+    _addEmptyMenuItem(menu) {
+        menu.addMenuItem(new PopupMenu.PopupMenuItem('Empty', {
+            reactive: false,
+            style_class: 'popup-inactive-menu-item',
+        }));
+    }
+
+    // Flatten DBusMenu nodes into the items that show them, in menu order.
+    // Invisible items are planned too (and rendered hidden) so
+    // ItemsPropertiesUpdated can show them in place.  Returns the type of
+    // the last planned item, used to skip consecutive separators.
+    //
+    // Top-level submenus become PopupSubMenuMenuItems.  Those can't nest, so
+    // submenus inside them are flattened: a header item followed by its
+    // children, indented one step further per level.
+    _planMenuNodes(nodes, depth, entries, lastType) {
+        for (const node of nodes)
+            lastType = this._planMenuNode(node, depth, entries, lastType);
+        return lastType;
+    }
+
+    _planMenuNode(node, depth, entries, lastType) {
+        const { id, properties, children } = node;
+        const label = stripMnemonics(properties['label'] ?? '');
+        const visible = properties['visible'] ?? true;
+        const type = properties['type'] ?? '';
+
+        if (label === '' && id === 0)
+            return this._planMenuNodes(children, depth, entries, lastType);
+
+        if (type === 'separator' || label === '') {
+            if (!visible || lastType === 'separator') {
+                debug(`Skipping separator (id=${id})`);
+                return lastType;
+            }
+            entries.push({ node, depth, kind: 'separator', key: `separator:${depth}` });
+            return 'separator';
+        }
+
+        const gicon = this._getMenuItemIcon(properties);
+        // Exporters may leave submenus empty until AboutToShow for them
+        const isSubmenu = properties['children-display'] === 'submenu';
+        const kind = isSubmenu ? (depth === 0 ? 'submenu' : 'header') : 'item';
+        // Items can only be reused for a node of the same key
+        entries.push({ node, depth, kind, gicon, key: `${kind}:${depth}:${!!gicon}` });
+
+        // Children of nested submenus and of items that aren't shown as a
+        // submenu at all are listed right after them
+        if (children.length > 0 && kind !== 'submenu')
+            this._planMenuNodes(children, isSubmenu ? depth + 1 : depth, entries, 'item');
+
+        return visible ? 'item' : lastType;
+    }
+
+    // Create the item for one planned entry and add it to menu
+    _addMenuEntry(menu, entry, position) {
+        const { node, depth, kind, gicon, key } = entry;
+        const { id, properties, children } = node;
+
+        if (kind === 'separator') {
+            const separator = new PopupMenu.PopupSeparatorMenuItem();
+            this._indentMenuItem(separator, depth);
+            menu.addMenuItem(separator, position);
+            this._menuItems.set(id, { item: separator, node, menu, depth, key });
+            return;
+        }
+
+        const label = stripMnemonics(properties['label'] ?? '');
+        let menuItem;
+        if (kind === 'submenu') {
+            menuItem = new PopupMenu.PopupSubMenuMenuItem(label, !!gicon);
+            if (gicon) {
+                menuItem.icon.gicon = gicon;
+                this._applyMenuIconStyle(menuItem.icon, properties);
+            }
+            this._menuContainers.set(id, menuItem.menu);
+            this._renderMenuNodes(menuItem.menu, children, depth + 1);
+            menuItem.menu.connect('open-state-changed', (submenu, isOpen) => {
+                if (isOpen)
+                    this._onSubmenuOpened(id);
+                else
+                    this._onSubmenuClosed(id);
+            });
+        } else {
+            // Nested submenu headers only label the items below them
+            const params = kind === 'header' ? { reactive: false } : {};
+            if (gicon) {
+                menuItem = new PopupMenu.PopupImageMenuItem(label, gicon, params);
+                this._applyMenuIconStyle(menuItem._icon, properties);
+            } else {
+                menuItem = new PopupMenu.PopupMenuItem(label, params);
+            }
+
+            if (kind === 'header') {
+                menuItem.add_style_class_name('status-tray-menu-submenu-header');
+            } else {
+                menuItem.connect('activate', (item, event) => {
+                    this._activateMenuItem(id, menuItem.label.text,
+                        event?.get_time() ?? global.get_current_time());
+                });
+                menuItem.connect('notify::active', () => {
+                    if (menuItem.active)
+                        this._queueMenuEvent(id, 'hovered');
+                });
+            }
+            this._indentMenuItem(menuItem, depth);
+        }
+
+        menu.addMenuItem(menuItem, position);
+        this._menuItems.set(id, { item: menuItem, node, menu, depth, key });
+        this._applyMenuItemProperties(id);
+    }
+
+    // Reused items keep their icon widget; only a different icon is set
+    _updateMenuItemIcon(record, gicon) {
+        const { item, node } = record;
+        const icon = item instanceof PopupMenu.PopupSubMenuMenuItem ? item.icon : item._icon;
+        if (!gicon || !icon || icon.gicon?.equal(gicon))
+            return;
+
+        icon.gicon = gicon;
+        this._applyMenuIconStyle(icon, node.properties);
+    }
+
+    // Items in a top-level submenu (depth 1) are already indented by the
+    // submenu itself; deeper levels get a spacer in front.
+    _indentMenuItem(menuItem, depth) {
+        if (depth < 2)
+            return;
+
+        const spacer = new St.Widget({
+            style_class: 'status-tray-menu-indent',
+            style: `width: ${(depth - 1) * MENU_INDENT_PX}px;`,
+        });
+        menuItem.insert_child_at_index(spacer, 0);
+    }
+
+    // icon-data is a PNG loaded straight from memory; icon-name is resolved
+    // like the tray icon itself so IconThemePath icons work in menus too
+    _getMenuItemIcon(properties) {
+        if (properties['gicon'])
+            return properties['gicon'];
+
+        const iconData = properties['icon-data'];
+        if (iconData?.length > 0)
+            return Gio.BytesIcon.new(new GLib.Bytes(iconData));
+
+        const iconName = properties['icon-name'];
+        if (!iconName)
+            return null;
+
+        const iconPath = this._findIconFile(iconName);
+        if (iconPath)
+            return new Gio.FileIcon({ file: Gio.File.new_for_path(iconPath) });
+        return new Gio.ThemedIcon({ name: iconName });
+    }
+
+    // In symbolic mode, named icons use their symbolic variants and
+    // full-color ones are desaturated to blend in like the panel icons
+    _applyMenuIconStyle(icon, properties) {
+        const iconMode = this._settings?.get_string('icon-mode') ?? 'symbolic';
+        const iconName = properties['icon-name'] ?? '';
+        const isSymbolicIcon = !(properties['icon-data']?.length > 0) && iconName.endsWith('-symbolic');
+        icon.clear_effects();
+
+        if (isSymbolicIcon)
+            return;
+
+        if (iconMode !== 'symbolic')
+            icon.add_style_class_name('status-tray-menu-icon-regular');
+        else
+            icon.add_effect_with_name('desaturate', new Clutter.DesaturateEffect({ factor: 1.0 }));
+    }
+
+    _applyMenuItemProperties(id) {
+        const { item, node } = this._menuItems.get(id);
+        const properties = node.properties;
+
+        item.label.text = stripMnemonics(properties['label'] ?? '');
+        item.setSensitive(properties['enabled'] ?? true);
+        if (item.has_style_class_name('status-tray-menu-submenu-header'))
+            item.reactive = item.can_focus = false;
+        item.visible = properties['visible'] ?? true;
+        this._applyMenuItemToggle(id);
+        this._applyMenuItemShortcut(id);
+        this._applyMenuItemDisposition(id);
+    }
+
+    // informative/warning/alert items get a style class (themeable in
+    // stylesheet.css), a leading icon unless they bring their own, and a
+    // prefix for screen readers
+    _applyMenuItemDisposition(id) {
+        const record = this._menuItems.get(id);
+        const { item, node } = record;
+        const disposition = MENU_DISPOSITIONS[node.properties['disposition']];
+
+        for (const name of Object.keys(MENU_DISPOSITIONS))
+            item.remove_style_class_name(`status-tray-menu-item-${name}`);
+        record.dispositionIcon?.destroy();
+        delete record.dispositionIcon;
+
+        if (!disposition) {
+            item.accessible_name = null;
+            return;
+        }
+
+        item.add_style_class_name(`status-tray-menu-item-${node.properties['disposition']}`);
+        item.accessible_name = `${disposition.description}: ${item.label.text}`;
+
+        const properties = node.properties;
+        const hasOwnIcon = properties['gicon'] || properties['icon-name'] || properties['icon-data']?.length > 0;
+        if (!hasOwnIcon) {
+            record.dispositionIcon = new St.Icon({
+                style_class: 'popup-menu-icon status-tray-menu-disposition-icon',
+                icon_name: disposition.iconName,
+            });
+            item.insert_child_below(record.dispositionIcon, item.label);
+        }
+    }
+
+    // Shortcuts are shown right-aligned, like in GTK menus.  They are only
+    // hints; the app handles the actual key binding in its own windows.
+    _applyMenuItemShortcut(id) {
+        const record = this._menuItems.get(id);
+        const { item, node } = record;
+        const text = formatShortcut(node.properties['shortcut']);
+        const canShow = !(item instanceof PopupMenu.PopupSubMenuMenuItem) &&
+            !item.has_style_class_name('status-tray-menu-submenu-header');
+
+        if (!text || !canShow) {
+            record.shortcutLabel?.destroy();
+            delete record.shortcutLabel;
+            return;
+        }
+
+        if (!record.shortcutLabel) {
+            record.shortcutLabel = new St.Label({
+                style_class: 'status-tray-menu-shortcut popup-inactive-menu-item',
+                x_expand: true,
+                x_align: Clutter.ActorAlign.END,
+                y_align: Clutter.ActorAlign.CENTER,
+            });
+            item.add_child(record.shortcutLabel);
+        }
+        record.shortcutLabel.text = text;
+    }
+
+    // As in GTK menus, an item's mnemonic letter activates it.  Any other
+    // text starts filtering the menu, after which all typing goes to the
+    // filter; Alt plus a mnemonic still activates its item then.
+    _onMenuKeyPress(event) {
+        const state = event.get_state();
+        if (!this._menuShowsLayout ||
+            state & (Clutter.ModifierType.CONTROL_MASK | Clutter.ModifierType.SUPER_MASK))
+            return Clutter.EVENT_PROPAGATE;
+
+        const unicode = event.get_key_unicode();
+        if (state & Clutter.ModifierType.MOD1_MASK) {
+            if (unicode && this._activateMnemonic(unicode.toLowerCase(), event))
+                return Clutter.EVENT_STOP;
+            return Clutter.EVENT_PROPAGATE;
+        }
+
+        if (this._menuFilter) {
+            switch (event.get_key_symbol()) {
+            case Clutter.KEY_BackSpace:
+                this._setMenuFilter(this._menuFilter.slice(0, -1));
+                return Clutter.EVENT_STOP;
+            case Clutter.KEY_Escape:
+                this._setMenuFilter('');
+                return Clutter.EVENT_STOP;
+            case Clutter.KEY_Return:
+            case Clutter.KEY_KP_Enter:
+                this._activateFirstMenuMatch(event);
+                return Clutter.EVENT_STOP;
+            }
+        }
+
+        if (!unicode || unicode < ' ' || (!this._menuFilter && !unicode.trim()))
+            return Clutter.EVENT_PROPAGATE;
+
+        if (!this._menuFilter && this._activateMnemonic(unicode.toLowerCase(), event))
+            return Clutter.EVENT_STOP;
+
+        this._setMenuFilter(this._menuFilter + unicode);
+        return Clutter.EVENT_STOP;
+    }
+
+    // GTK-style mnemonics: an item's access key activates it, or cycles
+    // focus between the items when several share the key.
+    _activateMnemonic(key, event) {
+        const menu = this._getFocusedMenu();
+        const matches = [...this._menuItems.values()]
+            .filter(({ item, node, menu: itemMenu }) =>
+                itemMenu === menu && item.visible && item.reactive &&
+                getMnemonicKey(node.properties['label']) === key)
+            .map(({ item }) => item);
+
+        if (matches.length === 0)
+            return false;
+
+        if (matches.length === 1) {
+            matches[0].activate(event);
+            return true;
+        }
+
+        const focused = matches.findIndex(item => item.has_key_focus());
+        matches[(focused + 1) % matches.length].grab_key_focus();
+        return true;
+    }
+
+    _setMenuFilter(text) {
+        this._menuFilter = text;
+        this._applyMenuFilter();
+    }
+
+    // Show only items whose label contains the filter text, plus the
+    // submenus and headers leading to them.  A matching submenu shows all
+    // of its items.  Re-applied after every (re-)render so incremental
+    // updates stay filtered.
+    _applyMenuFilter() {
+        const filter = this._menuFilter.toLowerCase();
+        const shown = new Set();
+
+        const visit = (node, ancestorMatched) => {
+            const label = stripMnemonics(node.properties['label'] ?? '').toLowerCase();
+            const matched = ancestorMatched || label.includes(filter);
+            let anyShown = matched;
+            for (const child of node.children) {
+                if (visit(child, matched))
+                    anyShown = true;
+            }
+            if (anyShown)
+                shown.add(node.id);
+            return anyShown;
+        };
+        if (filter && this._menuRoot) {
+            for (const child of this._menuRoot.children)
+                visit(child, false);
+        }
+
+        for (const [id, { item, node }] of this._menuItems) {
+            const visible = node.properties['visible'] ?? true;
+            if (item instanceof PopupMenu.PopupSeparatorMenuItem) {
+                item.visible = !filter && visible;
+                continue;
+            }
+
+            item.visible = visible && (!filter || shown.has(id));
+            if (filter && item.visible && item instanceof PopupMenu.PopupSubMenuMenuItem)
+                item.setSubmenuShown(true);
+        }
+
+        if (this._hostSection)
+            this._hostSection.actor.visible = !filter;
+
+        this._updateFilterItem(filter ? shown.size > 0 : true);
+    }
+
+    // Non-reactive first row showing what is being typed
+    _updateFilterItem(hasMatches) {
+        if (!this._menuFilter) {
+            this._filterItem?.destroy();
+            return;
+        }
+
+        if (!this._filterItem) {
+            this._filterItem = new PopupMenu.PopupMenuItem('', {
+                reactive: false,
+                style_class: 'status-tray-menu-filter',
+            });
+            this._filterItem.connect('destroy', () => {
+                this._filterItem = null;
+            });
+            this.menu.addMenuItem(this._filterItem, 0);
+        }
+
+        this._filterItem.label.text = hasMatches
+            ? `Filter: “${this._menuFilter}”`
+            : `No items match “${this._menuFilter}”`;
+    }
+
+    // First visible, activatable item in menu order
+    _activateFirstMenuMatch(event) {
+        const stack = [...(this._menuRoot?.children ?? [])].reverse();
+        while (stack.length > 0) {
+            const node = stack.pop();
+            const item = this._menuItems.get(node.id)?.item;
+            if (item?.visible && item.reactive &&
+                !(item instanceof PopupMenu.PopupSubMenuMenuItem)) {
+                item.activate(event);
+                return;
+            }
+            stack.push(...[...node.children].reverse());
+        }
+    }
+
+    // The open submenu holding key focus, else the top-level menu
+    _getFocusedMenu() {
+        const focus = global.stage.get_key_focus();
+        for (const menu of this._menuContainers.values()) {
+            if (menu !== this.menu && menu.isOpen && focus && menu.box.contains(focus))
+                return menu;
+        }
+        return this.menu;
+    }
+
+    // toggle-type 'checkmark' gets a check, 'radio' a dot; toggle-state is
+    // 1 (on), 0 (off) or -1 (indeterminate, shown as a dash)
+    _applyMenuItemToggle(id) {
+        const record = this._menuItems.get(id);
+        const { item, node } = record;
+        const toggleType = node.properties['toggle-type'] ?? '';
+        const toggleState = node.properties['toggle-state'] ?? -1;
+
+        if (record.mixedIcon && (toggleState !== -1 ||
+            (toggleType !== 'checkmark' && toggleType !== 'radio'))) {
+            record.mixedIcon.destroy();
+            delete record.mixedIcon;
+        }
+
+        if (toggleType !== 'checkmark' && toggleType !== 'radio') {
+            item.setOrnament(PopupMenu.Ornament.NONE);
+            return;
+        }
+
+        if (toggleState === 1) {
+            item.setOrnament(toggleType === 'radio'
+                ? PopupMenu.Ornament.DOT : PopupMenu.Ornament.CHECK);
+        } else if (toggleState === 0) {
+            item.setOrnament(toggleType === 'radio'
+                ? PopupMenu.Ornament.NO_DOT ?? PopupMenu.Ornament.NONE
+                : PopupMenu.Ornament.NONE);
+        } else {
+            // No built-in ornament for "mixed"; put our own in its place
+            item.setOrnament(PopupMenu.Ornament.HIDDEN ?? PopupMenu.Ornament.NONE);
+            if (!record.mixedIcon) {
+                record.mixedIcon = new St.Icon({
+                    style_class: 'popup-menu-ornament status-tray-menu-ornament-mixed',
+                    icon_name: 'list-remove-symbolic',
+                });
+                item.insert_child_at_index(record.mixedIcon, 0);
+            }
+        }
+    }
+
+    // Show the new toggle state right away.  The app normally confirms it
+    // with ItemsPropertiesUpdated; if it stays silent, ask for the real
+    // state after a while in case it did something else (e.g. refused the
+    // change).  Asking at once would race libdbusmenu, which handles Event
+    // from an idle and so still reports the old state.
+    _syncMenuToggleAfterClick(itemId) {
+        const node = this._menuNodes.get(itemId);
+        const toggleType = node?.properties['toggle-type'];
+        if (toggleType !== 'checkmark' && toggleType !== 'radio')
+            return;
+
+        const ids = [itemId];
+        if (toggleType === 'checkmark') {
+            node.properties['toggle-state'] = node.properties['toggle-state'] === 1 ? 0 : 1;
+        } else {
+            const parentNode = [...this._menuNodes.values()]
+                .find(candidate => candidate.children.includes(node));
+            for (const sibling of parentNode?.children ?? []) {
+                if (sibling !== node && sibling.properties['toggle-type'] === 'radio') {
+                    sibling.properties['toggle-state'] = 0;
+                    ids.push(sibling.id);
+                }
+            }
+            node.properties['toggle-state'] = 1;
+        }
+
+        for (const id of ids) {
+            if (this._menuItems.has(id))
+                this._applyMenuItemProperties(id);
+            this._unconfirmedToggleIds.add(id);
+        }
+
+        if (this._toggleCheckId)
+            GLib.source_remove(this._toggleCheckId);
+        this._toggleCheckId = GLib.timeout_add(GLib.PRIORITY_DEFAULT, MENU_TOGGLE_CHECK_DELAY_MS, () => {
+            this._toggleCheckId = 0;
+            this._refreshUnconfirmedToggles();
+            return GLib.SOURCE_REMOVE;
+        });
+    }
+
+    _refreshUnconfirmedToggles() {
+        const ids = [...this._unconfirmedToggleIds];
+        this._unconfirmedToggleIds.clear();
+        if (ids.length === 0 || !this._menuPath)
+            return;
+
+        Gio.DBus.session.call(
+            this._busName,
+            this._menuPath,
+            'com.canonical.dbusmenu',
+            'GetGroupProperties',
+            new GLib.Variant('(aias)', [ids, ['toggle-state']]),
+            new GLib.VariantType('(a(ia{sv}))'),
+            Gio.DBusCallFlags.NONE,
+            MENU_CALL_TIMEOUT_MS,
+            this._cancellable,
+            (conn, result) => {
+                try {
+                    const [updated] = conn.call_finish(result).deep_unpack();
+                    this._onMenuItemsPropertiesUpdated(updated, []);
+                } catch (e) {
+                    debug(`Failed to refresh toggle state: ${e}`);
+                }
+            }
+        );
+    }
+
+    _subscribeToMenuSignals() {
+        this._unsubscribeFromMenuSignals();
+
+        if (!this._menuPath)
+            return;
+
+        const bus = Gio.DBus.session;
+
+        const layoutUpdatedId = bus.signal_subscribe(
+            this._busName,
+            'com.canonical.dbusmenu',
+            'LayoutUpdated',
+            this._menuPath,
+            null,
+            Gio.DBusSignalFlags.NONE,
+            (conn, sender, path, iface, signal, params) => {
+                const [revision, parentId] = params.deep_unpack();
+                debug(`LayoutUpdated for ${this._busName}: revision ${revision}, parent ${parentId}`);
+                this._onMenuLayoutUpdated(revision, parentId);
+            }
+        );
+        this._menuSignalIds.push(layoutUpdatedId);
+
+        const propertiesUpdatedId = bus.signal_subscribe(
+            this._busName,
+            'com.canonical.dbusmenu',
+            'ItemsPropertiesUpdated',
+            this._menuPath,
+            null,
+            Gio.DBusSignalFlags.NONE,
+            (conn, sender, path, iface, signal, params) => {
+                const [updated, removed] = params.deep_unpack();
+                debug(`ItemsPropertiesUpdated for ${this._busName}: ` +
+                    `${updated.length} updated, ${removed.length} removed`);
+                this._onMenuItemsPropertiesUpdated(updated, removed);
+            }
+        );
+        this._menuSignalIds.push(propertiesUpdatedId);
+    }
+
+    _unsubscribeFromMenuSignals() {
+        const bus = Gio.DBus.session;
+        for (const signalId of this._menuSignalIds)
+            bus.signal_unsubscribe(signalId);
+        this._menuSignalIds = [];
+    }
+
+    _onMenuLayoutUpdated(revision, parentId) {
+        // A closed menu is fetched fresh when it next opens
+        if (!this._menuRoot || !this.menu.isOpen)
+            return;
+
+        // Already covered by the last full layout.  Equal revisions are
+        // still fetched: not every app bumps the revision on changes.
+        if (revision < this._menuRevision) {
+            debug(`Skipping layout update ${revision} for ${this._busName}, have ${this._menuRevision}`);
+            return;
+        }
+
+        // Apps tend to send bursts of updates; collect them briefly
+        this._pendingLayoutParents.add(parentId);
+        if (!this._layoutUpdateId) {
+            this._layoutUpdateId = GLib.timeout_add(GLib.PRIORITY_DEFAULT, MENU_UPDATE_DELAY_MS, () => {
+                this._layoutUpdateId = 0;
+                this._flushMenuLayoutUpdates();
+                return GLib.SOURCE_REMOVE;
+            });
+        }
+    }
+
+    _flushMenuLayoutUpdates() {
+        const parentIds = [...this._pendingLayoutParents];
+        this._pendingLayoutParents.clear();
+
+        // Re-fetching the root covers every other pending subtree
+        const rootId = this._menuRoot?.id ?? 0;
+        if (parentIds.includes(rootId) || parentIds.some(id => !this._menuNodes.has(id))) {
+            this._fetchMenuSubtree(rootId);
+            return;
+        }
+
+        for (const parentId of parentIds) {
+            // Skip subtrees contained in another pending one
+            if (!parentIds.some(other => other !== parentId && this._isMenuAncestor(other, parentId)))
+                this._fetchMenuSubtree(parentId);
+        }
+    }
+
+    _isMenuAncestor(ancestorId, id) {
+        const ancestor = this._menuNodes.get(ancestorId);
+        const stack = ancestor ? [...ancestor.children] : [];
+        while (stack.length > 0) {
+            const node = stack.pop();
+            if (node.id === id)
+                return true;
+            stack.push(...node.children);
+        }
+        return false;
+    }
+
+    // Re-fetch only the subtree below parentId and swap it into the model
+    _fetchMenuSubtree(parentId) {
+        Gio.DBus.session.call(
+            this._busName,
+            this._menuPath,
+            'com.canonical.dbusmenu',
+            'GetLayout',
+            new GLib.Variant('(iias)', [parentId, -1, []]),
+            new GLib.VariantType('(u(ia{sv}av))'),
+            Gio.DBusCallFlags.NONE,
+            MENU_CALL_TIMEOUT_MS,
+            this._cancellable,
+            (conn, result) => {
+                try {
+                    const reply = conn.call_finish(result);
+                    const [revision, layout] = reply.deep_unpack();
+                    debug(`Got menu subtree ${parentId}, revision ${revision}`);
+                    // Only a full layout brings every subtree up to revision
+                    if (parentId === this._menuRoot?.id)
+                        this._menuRevision = revision;
+                    this._applyMenuSubtree(parseMenuLayout(layout));
+                } catch (e) {
+                    debug(`Failed to get menu subtree ${parentId}: ${e}`);
+                }
+            }
+        );
+    }
+
+    _applyMenuSubtree(subtree) {
+        const existing = this._menuNodes.get(subtree.id);
+        // Removed while the request was in flight
+        if (!existing)
+            return;
+
+        if (existing === this._menuRoot)
+            this._reconcileMenuLayout(subtree);
+        else
+            this._reconcileMenuNode(existing, subtree);
+    }
+
+    // ItemsPropertiesUpdated: a(ia{sv}) updated, a(ias) removed.  Label,
+    // enabled and visible are applied to the existing items; anything that
+    // changes an item's kind re-renders the menu holding it.
+    _onMenuItemsPropertiesUpdated(updated, removed) {
+        const changed = new Map();
+
+        for (const [id, properties] of updated) {
+            if ('toggle-state' in properties)
+                this._unconfirmedToggleIds.delete(id);
+
+            const node = this._menuNodes.get(id);
+            if (!node)
+                continue;
+            for (const [key, value] of Object.entries(properties))
+                node.properties[key] = value.deep_unpack();
+            changed.set(id, [...(changed.get(id) ?? []), ...Object.keys(properties)]);
+        }
+
+        for (const [id, names] of removed) {
+            const node = this._menuNodes.get(id);
+            if (!node)
+                continue;
+            for (const name of names)
+                delete node.properties[name];
+            changed.set(id, [...(changed.get(id) ?? []), ...names]);
+        }
+
+        this._applyMenuPropertyChanges(changed);
+    }
+
+    // changed: id -> names of the properties that changed on that node
+    _applyMenuPropertyChanges(changed) {
+        const menusToRerender = new Set();
+        for (const [id, names] of changed) {
+            if (id === this._menuRoot?.id)
+                continue;
+
+            const record = this._menuItems.get(id);
+            const inPlace = record &&
+                !(record.item instanceof PopupMenu.PopupSeparatorMenuItem) &&
+                names.every(name => IN_PLACE_MENU_PROPERTIES.includes(name));
+
+            if (inPlace)
+                this._applyMenuItemProperties(id);
+            else
+                menusToRerender.add(this._findMenuParentId(id));
+        }
+
+        for (const parentId of menusToRerender)
+            this._rerenderMenuContainer(parentId);
+
+        if (this._menuFilter)
+            this._applyMenuFilter();
+    }
+
+    // Id of the rendered (sub)menu that holds the item, or the root
+    _findMenuParentId(id) {
+        const record = this._menuItems.get(id);
+        if (record) {
+            for (const [parentId, menu] of this._menuContainers) {
+                if (menu === record.menu)
+                    return parentId;
+            }
+        }
+        return this._menuRoot?.id ?? 0;
+    }
+
+    // A top-level submenu expanded.  Its flattened nested submenus become
+    // visible along with it, so they are announced too.
+    async _onSubmenuOpened(submenuId) {
+        // GMenuModel submenus are loaded along with their parent
+        if (this._menuBackend === 'gmenu')
+            return;
+
+        const ids = [submenuId, ...this._getNestedSubmenuIds(submenuId)];
+        const needsUpdate = this._menuAboutToShow(ids);
+        for (const id of ids) {
+            this._openMenuIds.add(id);
+            this._queueMenuEvent(id, 'opened');
+        }
+
+        // Lazily populated submenus fill in now
+        if (await needsUpdate && this._menuContainers.get(submenuId)?.isOpen)
+            this._fetchMenuSubtree(submenuId);
+    }
+
+    _onSubmenuClosed(submenuId) {
+        for (const id of [submenuId, ...this._getNestedSubmenuIds(submenuId)]) {
+            if (this._openMenuIds.delete(id))
+                this._queueMenuEvent(id, 'closed');
+        }
+    }
+
+    _getNestedSubmenuIds(parentId) {
+        const ids = [];
+        const stack = [...(this._menuNodes.get(parentId)?.children ?? [])];
+        while (stack.length > 0) {
+            const node = stack.pop();
+            if (node.properties['children-display'] === 'submenu')
+                ids.push(node.id);
+            stack.push(...node.children);
+        }
+        return ids;
+    }
+
+    _callMenuMethod(method, params, replyType) {
+        return new Promise((resolve, reject) => {
+            Gio.DBus.session.call(
+                this._busName,
+                this._menuPath,
+                'com.canonical.dbusmenu',
+                method,
+                params,
+                replyType ? new GLib.VariantType(replyType) : null,
+                Gio.DBusCallFlags.NONE,
+                MENU_CALL_TIMEOUT_MS,
+                this._cancellable,
+                (conn, result) => {
+                    try {
+                        resolve(conn.call_finish(result).deep_unpack());
+                    } catch (e) {
+                        reject(e);
+                    }
+                }
+            );
+        });
+    }
+
+    // AboutToShowGroup, or one AboutToShow per id for exporters without
+    // it.  Resolves to whether the app changed any of these menus.
+    async _menuAboutToShow(ids) {
+        if (!this._aboutToShowGroupUnsupported) {
+            try {
+                const [updatesNeeded] = await this._callMenuMethod('AboutToShowGroup',
+                    new GLib.Variant('(ai)', [ids]), '(aiai)');
+                return updatesNeeded.length > 0;
+            } catch (e) {
+                if (!isUnsupportedMethodError(e)) {
+                    debug(`AboutToShowGroup failed for ${this._busName}: ${e.message}`);
+                    return false;
+                }
+                debug(`AboutToShowGroup not supported by ${this._busName}`);
+                this._aboutToShowGroupUnsupported = true;
+            }
+        }
+
+        const results = await Promise.all(ids.map(id =>
+            this._callMenuMethod('AboutToShow', new GLib.Variant('(i)', [id]), '(b)')
+                .then(([needUpdate]) => needUpdate, () => false)));
+        return results.some(needUpdate => needUpdate);
+    }
+
+    // opened/closed/hovered events are informational, so they are collected
+    // until idle and sent together with EventGroup where supported
+    _queueMenuEvent(id, eventId) {
+        if (!this._menuPath || this._menuBackend === 'gmenu')
+            return;
+
+        this._pendingMenuEvents.push([id, eventId]);
+        if (!this._menuEventFlushId) {
+            this._menuEventFlushId = GLib.idle_add(GLib.PRIORITY_DEFAULT, () => {
+                this._menuEventFlushId = 0;
+                this._flushMenuEvents();
+                return GLib.SOURCE_REMOVE;
+            });
+        }
+    }
+
+    async _flushMenuEvents() {
+        const timestamp = global.get_current_time();
+        const events = this._pendingMenuEvents.splice(0).map(([id, eventId]) =>
+            [id, eventId, new GLib.Variant('i', 0), timestamp]);
+
+        if (events.length > 1 && !this._eventGroupUnsupported) {
+            try {
+                await this._callMenuMethod('EventGroup', new GLib.Variant('(a(isvu))', [events]), '(ai)');
+                return;
+            } catch (e) {
+                if (!isUnsupportedMethodError(e)) {
+                    debug(`EventGroup failed for ${this._busName}: ${e.message}`);
+                    return;
+                }
+                debug(`EventGroup not supported by ${this._busName}`);
+                this._eventGroupUnsupported = true;
+            }
+        }
+
+        for (const event of events) {
+            this._callMenuMethod('Event', new GLib.Variant('(isvu)', event), null)
+                .catch(e => debug(`Event ${event[1]} failed for ${this._busName}: ${e.message}`));
+        }
+    }
+
+    // Shown instead of the menu when the app doesn't answer.  A timeout is
+    // the symptom of a hung app or a stale Flatpak proxy, so only then is
+    // restarting the connection offered.
+    _showMenuNotResponding(error) {
+        this._menuShowsLayout = false;
+        this.menu.removeAll();
+
+        const timedOut = error.matches(Gio.IOErrorEnum, Gio.IOErrorEnum.TIMED_OUT);
+        this.menu.addMenuItem(new PopupMenu.PopupMenuItem(
+            timedOut ? 'Application is not responding' : 'Could not load the menu', {
+                reactive: false,
+                style_class: 'popup-inactive-menu-item',
+            }));
+        this.menu.addMenuItem(new PopupMenu.PopupSeparatorMenuItem());
+
+        // Activating an item closes the menu; reopening it loads it again
+        this.menu.addAction('Retry', () => {
+            GLib.idle_add(GLib.PRIORITY_DEFAULT, () => {
+                this.menu.open();
+                return GLib.SOURCE_REMOVE;
+            });
+        });
+
+        if (timedOut)
+            this.menu.addAction('Restart connection', () => this.emit('restart-requested'));
+
+        this._addHostSection();
+    }
+
+    _notifyMenuItemFailed(label, error) {
+        const appName = this._title || this._appId || this._busName;
+        const reason = error.matches(Gio.IOErrorEnum, Gio.IOErrorEnum.TIMED_OUT)
+            ? 'The application is not responding.'
+            : 'The application reported an error.';
+        Main.notify(appName, `"${label}" could not be run. ${reason}`);
+    }
+
+    // Some exporters (GTK4 apps, some libayatana builds) publish a
+    // GMenuModel (org.gtk.Menus/org.gtk.Actions) at the Menu path instead
+    // of a DBusMenu.  Resolves to 'gmenu' or 'dbusmenu'.
+    async _detectMenuBackend() {
+        try {
+            const xml = await new Promise((resolve, reject) => {
+                Gio.DBus.session.call(
+                    this._busName,
+                    this._menuPath,
+                    'org.freedesktop.DBus.Introspectable',
+                    'Introspect',
+                    null,
+                    new GLib.VariantType('(s)'),
+                    Gio.DBusCallFlags.NONE,
+                    MENU_CALL_TIMEOUT_MS,
+                    this._cancellable,
+                    (conn, result) => {
+                        try {
+                            resolve(conn.call_finish(result).deep_unpack()[0]);
+                        } catch (e) {
+                            reject(e);
+                        }
+                    }
+                );
+            });
+
+            if (xml.includes('"org.gtk.Menus"') && !xml.includes('"com.canonical.dbusmenu"')) {
+                debug(`${this._busName} exports a GMenuModel at ${this._menuPath}`);
+                return 'gmenu';
+            }
+        } catch (e) {
+            debug(`Failed to introspect ${this._menuPath} on ${this._busName}: ${e.message}`);
         }
+        return 'dbusmenu';
+    }
 
-        this._lastMenuItemType = null;
-
-        for (const childVariant of children) {
-            const child = childVariant.deep_unpack();
-            this._addMenuItem(child);
+    _loadGMenu() {
+        if (!this._menuModel) {
+            const bus = Gio.DBus.session;
+            this._menuModel = Gio.DBusMenuModel.get(bus, this._busName, this._menuPath);
+            this._actionGroup = Gio.DBusActionGroup.get(bus, this._busName, this._menuPath);
+
+            // Both load lazily and report in through these signals
+            for (const signal of ['action-added', 'action-removed',
+                'action-enabled-changed', 'action-state-changed']) {
+                this._actionGroupSignalIds.push(this._actionGroup.connect(signal,
+                    () => this._scheduleGMenuRebuild()));
+            }
         }
+
+        this._rebuildGMenu();
     }
 
-    _addMenuItem(item) {
-        const [itemId, properties, children] = item;
+    _scheduleGMenuRebuild() {
+        if (this._gmenuRebuildId)
+            return;
 
-        const rawLabel = properties['label']?.deep_unpack() || '';
-        const label = stripMnemonics(rawLabel);
-        const visible = properties['visible']?.deep_unpack() ?? true;
-        const enabled = properties['enabled']?.deep_unpack() ?? true;
-        const type = properties['type']?.deep_unpack() || '';
-        const childrenDisplay = properties['children-display']?.deep_unpack() || '';
+        this._gmenuRebuildId = GLib.timeout_add(GLib.PRIORITY_DEFAULT, MENU_UPDATE_DELAY_MS, () => {
+            this._gmenuRebuildId = 0;
+            if (this._menuModel && this.menu.isOpen)
+                this._rebuildGMenu();
+            return GLib.SOURCE_REMOVE;
+        });
+    }
 
-        if (!visible) {
-            debug(`Skipping invisible item: ${label} (id=${itemId})`);
-            return;
-        }
+    // Convert the GMenuModel into the same node tree GetLayout produces, so
+    // both backends share one renderer
+    _rebuildGMenu() {
+        this._disconnectGMenuModels();
+        this._gmenuNextId = 1;
+        this._buildMenuFromLayout({
+            id: 0,
+            properties: {},
+            children: this._gmenuModelToNodes(this._menuModel),
+        });
+    }
 
-        if (label === '' && itemId === 0) {
-            if (children && children.length > 0) {
-                for (const childVariant of children) {
-                    const child = childVariant.deep_unpack();
-                    this._addMenuItem(child);
-                }
+    _gmenuModelToNodes(model) {
+        this._gmenuModelSignals.push([model,
+            model.connect('items-changed', () => this._scheduleGMenuRebuild())]);
+
+        const nodes = [];
+        let inSection = false;
+        for (let i = 0; i < model.get_n_items(); i++) {
+            // Sections are set apart from their neighbours by separators
+            const section = model.get_item_link(i, Gio.MENU_LINK_SECTION);
+            if (section || inSection) {
+                inSection = !!section;
+                if (nodes.length > 0)
+                    nodes.push({ id: this._gmenuNextId++, properties: { type: 'separator' }, children: [] });
             }
-            return;
-        }
 
-        if (type === 'separator' || label === '') {
-            if (this._lastMenuItemType === 'separator') {
-                debug(`Skipping consecutive separator (id=${itemId})`);
-                return;
-            }
-            this.menu.addMenuItem(new PopupMenu.PopupSeparatorMenuItem());
-            this._lastMenuItemType = 'separator';
-            return;
+            if (section)
+                nodes.push(...this._gmenuModelToNodes(section));
+            else
+                nodes.push(this._gmenuItemToNode(model, i));
         }
+        return nodes;
+    }
 
-        if (childrenDisplay === 'submenu' && children && children.length > 0) {
-            const subMenu = new PopupMenu.PopupSubMenuMenuItem(label);
-            if (!enabled) {
-                subMenu.setSensitive(false);
-            }
+    _gmenuItemToNode(model, index) {
+        const attribute = (name, type) =>
+            model.get_item_attribute_value(index, name, type ? new GLib.VariantType(type) : null);
 
-            for (const childVariant of children) {
-                const child = childVariant.deep_unpack();
-                this._addSubMenuItem(subMenu.menu, child);
-            }
+        const node = {
+            id: this._gmenuNextId++,
+            properties: { label: attribute('label', 's')?.unpack() ?? '' },
+            children: [],
+        };
+        const properties = node.properties;
 
-            this.menu.addMenuItem(subMenu);
-            this._lastMenuItemType = 'submenu';
-            return;
+        const submenu = model.get_item_link(index, Gio.MENU_LINK_SUBMENU);
+        if (submenu) {
+            properties['children-display'] = 'submenu';
+            node.children = this._gmenuModelToNodes(submenu);
         }
 
-        const menuItem = new PopupMenu.PopupMenuItem(label);
-        if (!enabled) {
-            menuItem.setSensitive(false);
-        }
+        const icon = attribute('icon') ?? attribute('verb-icon');
+        if (icon)
+            properties['gicon'] = Gio.Icon.deserialize(icon);
 
-        menuItem.connect('activate', () => {
-            this._activateMenuItem(itemId, label);
-        });
+        const accel = attribute('accel', 's')?.unpack();
+        if (accel)
+            properties['shortcut'] = parseGtkAccelerator(accel);
 
-        this.menu.addMenuItem(menuItem);
-        this._lastMenuItemType = 'item';
+        const action = attribute('action', 's')?.unpack();
+        if (!action) {
+            properties['enabled'] = !!submenu;
+            return node;
+        }
 
-        if (children && children.length > 0) {
-            for (const childVariant of children) {
-                const child = childVariant.deep_unpack();
-                this._addMenuItem(child);
-            }
+        const actionName = this._resolveGMenuAction(action);
+        const target = attribute('target');
+        node.action = { name: actionName, target };
+
+        const hasAction = this._actionGroup.has_action(actionName);
+        const enabled = hasAction && this._actionGroup.get_action_enabled(actionName);
+        const hiddenWhen = attribute('hidden-when', 's')?.unpack();
+        properties['enabled'] = enabled;
+        properties['visible'] = !(hiddenWhen === 'action-missing' && !hasAction) &&
+            !(hiddenWhen === 'action-disabled' && !enabled);
+
+        // Boolean state is a checkbox; a state matched against the item's
+        // target is a radio item
+        const state = hasAction ? this._actionGroup.get_action_state(actionName) : null;
+        if (state && target) {
+            properties['toggle-type'] = 'radio';
+            properties['toggle-state'] = state.equal(target) ? 1 : 0;
+        } else if (state?.is_of_type(new GLib.VariantType('b'))) {
+            properties['toggle-type'] = 'checkmark';
+            properties['toggle-state'] = state.get_boolean() ? 1 : 0;
         }
-    }
 
-    _addSubMenuItem(submenu, item) {
-        const [itemId, properties, children] = item;
+        return node;
+    }
 
-        const rawLabel = properties['label']?.deep_unpack() || '';
-        const label = stripMnemonics(rawLabel);
-        const visible = properties['visible']?.deep_unpack() ?? true;
-        const enabled = properties['enabled']?.deep_unpack() ?? true;
-        const type = properties['type']?.deep_unpack() || '';
+    // Menu models name actions with the prefix the exporter's muxer knows
+    // them by ("app.quit", "win.close", "indicator.show").  The group at
+    // the menu path may export them either under that full name or
+    // without the prefix, as GtkApplication does; use whichever it has.
+    _resolveGMenuAction(action) {
+        if (this._actionGroup.has_action(action))
+            return action;
 
-        if (!visible) return;
+        const separator = action.indexOf('.');
+        return separator > 0 ? action.substring(separator + 1) : action;
+    }
 
-        if (type === 'separator' || label === '') {
-            submenu.addMenuItem(new PopupMenu.PopupSeparatorMenuItem());
-            return;
-        }
+    _disconnectGMenuModels() {
+        for (const [model, signalId] of this._gmenuModelSignals)
+            model.disconnect(signalId);
+        this._gmenuModelSignals = [];
+    }
 
-        const menuItem = new PopupMenu.PopupMenuItem(label);
-        if (!enabled) {
-            menuItem.setSensitive(false);
+    _releaseGMenu() {
+        if (this._gmenuRebuildId) {
+            GLib.source_remove(this._gmenuRebuildId);
+            this._gmenuRebuildId = 0;
         }
-
-        menuItem.connect('activate', () => {
-            this._activateMenuItem(itemId, label);
-        });
-
-        submenu.addMenuItem(menuItem);
+        this._disconnectGMenuModels();
+        for (const signalId of this._actionGroupSignalIds)
+            this._actionGroup.disconnect(signalId);
+        this._actionGroupSignalIds = [];
+        this._menuModel = null;
+        this._actionGroup = null;
     }
 
-    _activateMenuItem(itemId, label) {
+    _activateMenuItem(itemId, label, timestamp) {
         debug(`Activating menu item: ${label} (id=${itemId})`);
 
+        // Entries like "Show window" raise the app's window
+        this._provideActivationToken(timestamp);
+
+        if (this._menuBackend === 'gmenu') {
+            const action = this._menuNodes.get(itemId)?.action;
+            if (action)
+                this._actionGroup.activate_action(action.name, action.target);
+            return;
+        }
+
         const bus = Gio.DBus.session;
 
         bus.call(
@@ -1398,25 +4107,49 @@ const TrayItem = GObject.registerClass({
             new GLib.Variant('(isvu)', [itemId, 'clicked', new GLib.Variant('i', 0), 0]),
             null,
             Gio.DBusCallFlags.NONE,
-            -1,
-            null,
+            MENU_CALL_TIMEOUT_MS,
+            this._cancellable,
             (conn, result) => {
                 try {
                     conn.call_finish(result);
                     debug(`Menu item activated successfully`);
                 } catch (e) {
+                    if (e.matches(Gio.IOErrorEnum, Gio.IOErrorEnum.CANCELLED))
+                        return;
                     debug(`Failed to activate menu item: ${e}`);
+                    this._notifyMenuItemFailed(label, e);
                 }
             }
         );
+
+        this._syncMenuToggleAfterClick(itemId);
     }
 
-    destroy() {
+    // Everything the item holds must be released with the actor, however
+    // it is destroyed; the tooltip lives in the top chrome rather than
+    // inside the item
+    _onDestroyed() {
         if (this._cancellable) {
             this._cancellable.cancel();
             this._cancellable = null;
         }
 
+        if (this._scrollFlushId) {
+            GLib.source_remove(this._scrollFlushId);
+            this._scrollFlushId = 0;
+        }
+
+        if (this._layoutUpdateId) {
+            GLib.source_remove(this._layoutUpdateId);
+            this._layoutUpdateId = 0;
+        }
+        if (this._menuEventFlushId) {
+            GLib.source_remove(this._menuEventFlushId);
+            this._menuEventFlushId = 0;
+        }
+        this._unsubscribeFromMenuSignals();
+        this._releaseGMenu();
+
         const bus = Gio.DBus.session;
         for (const signalId of this._signalIds)
             bus.signal_unsubscribe(signalId);
@@ -1434,8 +4167,26 @@ const TrayItem = GObject.registerClass({
             this._tempFilePath = null;
         }
 
+        this._stopIconAnimation();
+        this._iconGeneration++;
+
+        if (this._toggleCheckId) {
+            GLib.source_remove(this._toggleCheckId);
+            this._toggleCheckId = 0;
+        }
+
+        if (this._hideIdleId) {
+            GLib.source_remove(this._hideIdleId);
+            this._hideIdleId = 0;
+        }
+
+        this._hideTooltip();
+        if (this._tooltipActor) {
+            this._tooltipActor.destroy();
+            this._tooltipActor = null;
+        }
+
         debug(`Destroyed TrayItem for ${this._busName}`);
-        super.destroy();
     }
 });
 
@@ -1448,33 +4199,50 @@ class StatusNotifierWatcher {
         this._healthCheckTimeoutId = 0;
         this._pendingDelayIds = new Set();
 
-        const nodeInfo = Gio.DBusNodeInfo.new_for_xml(SNW_INTERFACE_XML);
-        const ifaceInfo = nodeInfo.lookup_interface('org.kde.StatusNotifierWatcher');
-
-        this._dbusImpl = Gio.DBusExportedObject.wrapJSObject(ifaceInfo, this);
-
-        try {
-            this._dbusImpl.export(Gio.DBus.session, WATCHER_OBJECT_PATH);
-            debug('StatusNotifierWatcher exported on D-Bus');
-        } catch (e) {
-            debug(`Failed to export StatusNotifierWatcher: ${e.message}`);
-        }
-
-        this._ownNameId = Gio.DBus.session.own_name(
-            WATCHER_BUS_NAME,
-            Gio.BusNameOwnerFlags.NONE,
-            () => {
-                debug(`Acquired bus name: ${WATCHER_BUS_NAME}`);
-                try {
-                    this._dbusImpl.emit_signal('StatusNotifierHostRegistered', null);
-                } catch (e) {
-                    debug(`Failed to emit StatusNotifierHostRegistered: ${e.message}`);
-                }
-            },
-            () => {
-                debug(`Lost bus name: ${WATCHER_BUS_NAME}`);
+        // One exported object per interface name, all backed by this
+        // instance and its single item registry
+        this._dbusImpls = [];
+        this._ownNameIds = [];
+        // Watcher name → signal ids, for names owned by another watcher
+        // (AppIndicator extension, snixembed, KDE) that we follow as a host
+        this._followedWatchers = new Map();
+        // Item as listed by a followed watcher → [uniqueName, objectPath]
+        // it was registered under, to map its Unregistered signal back
+        this._remoteItems = new Map();
+        // Third-party host bus name → NameOwnerChanged signal id
+        this._hosts = new Map();
+        // Our own panel host, up from here until destroy()
+        this._hostActive = true;
+        for (const interfaceName of WATCHER_BUS_NAMES) {
+            const xml = SNW_INTERFACE_XML.replace('org.kde.StatusNotifierWatcher', interfaceName);
+            const nodeInfo = Gio.DBusNodeInfo.new_for_xml(xml);
+            const ifaceInfo = nodeInfo.lookup_interface(interfaceName);
+
+            const dbusImpl = Gio.DBusExportedObject.wrapJSObject(ifaceInfo, this);
+            try {
+                dbusImpl.export(Gio.DBus.session, WATCHER_OBJECT_PATH);
+                debug(`${interfaceName} exported on D-Bus`);
+            } catch (e) {
+                debug(`Failed to export ${interfaceName}: ${e.message}`);
             }
-        );
+            this._dbusImpls.push(dbusImpl);
+
+            this._ownNameIds.push(Gio.DBus.session.own_name(
+                interfaceName,
+                Gio.BusNameOwnerFlags.NONE,
+                () => {
+                    debug(`Acquired bus name: ${interfaceName}`);
+                    this._stopFollowingWatcher(interfaceName);
+                    this._emitSignal(dbusImpl, 'StatusNotifierHostRegistered', null);
+                },
+                () => {
+                    // Our request stays queued, so the name comes back to us
+                    // through the acquired callback when the other owner leaves
+                    debug(`Lost bus name: ${interfaceName}`);
+                    this._followWatcher(interfaceName);
+                }
+            ));
+        }
 
         this._seekExistingItems();
 
@@ -1590,13 +4358,15 @@ class StatusNotifierWatcher {
     // Catches "half-alive" proxies where properties work but menu is broken.
     async _isItemStale(bus, itemInfo) {
         try {
+            const interfaceName = await detectItemInterface(
+                itemInfo.busName, itemInfo.objectPath, this._cancellable);
             const propsResult = await new Promise((resolve, reject) => {
                 bus.call(
                     itemInfo.busName,
                     itemInfo.objectPath,
                     'org.freedesktop.DBus.Properties',
                     'GetAll',
-                    new GLib.Variant('(s)', ['org.kde.StatusNotifierItem']),
+                    new GLib.Variant('(s)', [interfaceName]),
                     new GLib.VariantType('(a{sv})'),
                     Gio.DBusCallFlags.NONE,
                     5000,
@@ -1698,13 +4468,14 @@ class StatusNotifierWatcher {
         const bus = Gio.DBus.session;
 
         try {
-            await new Promise((resolve, reject) => {
+            // An item implementing either SNI interface name will do
+            await Promise.any(SNI_INTERFACE_NAMES.map(interfaceName => new Promise((resolve, reject) => {
                 bus.call(
                     busName,
                     objectPath,
                     'org.freedesktop.DBus.Properties',
                     'Get',
-                    new GLib.Variant('(ss)', ['org.kde.StatusNotifierItem', 'Id']),
+                    new GLib.Variant('(ss)', [interfaceName, 'Id']),
                     new GLib.VariantType('(v)'),
                     Gio.DBusCallFlags.NONE,
                     1000,  // Short timeout
@@ -1718,7 +4489,7 @@ class StatusNotifierWatcher {
                         }
                     }
                 );
-            });
+            })));
 
             const uniqueId = `${busName}${objectPath}`;
             if (!this._items.has(uniqueId)) {
@@ -1758,15 +4529,19 @@ class StatusNotifierWatcher {
     }
 
     async _resolveNameOwner(service, invocation) {
+        return await this._getNameOwner(service) || invocation.get_sender();
+    }
+
+    // Unique name currently owning name, or null if it has no owner
+    async _getNameOwner(name) {
         try {
-            const bus = Gio.DBus.session;
             const result = await new Promise((resolve, reject) => {
-                bus.call(
+                Gio.DBus.session.call(
                     'org.freedesktop.DBus',
                     '/org/freedesktop/DBus',
                     'org.freedesktop.DBus',
                     'GetNameOwner',
-                    new GLib.Variant('(s)', [service]),
+                    new GLib.Variant('(s)', [name]),
                     new GLib.VariantType('(s)'),
                     Gio.DBusCallFlags.NONE,
                     1000,
@@ -1781,13 +4556,205 @@ class StatusNotifierWatcher {
                 );
             });
             const [owner] = result.deep_unpack();
-            return owner || invocation.get_sender();
+            return owner || null;
+        } catch (e) {
+            debug(`Failed to resolve name owner for ${name}: ${e.message}`);
+            return null;
+        }
+    }
+
+    // Recover an item whose app stopped answering: kill it if it's a stale
+    // Flatpak proxy (the app re-registers), otherwise drop the item and
+    // probe the same bus name again for a fresh connection.
+    async restartItem(uniqueId) {
+        const itemInfo = this._items.get(uniqueId);
+        if (!itemInfo)
+            return;
+
+        const { busName, objectPath } = itemInfo;
+        debug(`Restarting connection to ${uniqueId}`);
+
+        const killed = await this._tryKillStaleProxy(busName);
+        if (killed)
+            return;
+
+        this._unregisterItem(uniqueId);
+        await this._checkForSNI(busName, objectPath);
+    }
+
+    // Act as a plain host of the watcher currently owning watcherName: mirror
+    // its item registry and follow its Registered/Unregistered signals
+    async _followWatcher(watcherName) {
+        if (this._followedWatchers.has(watcherName))
+            return;
+
+        const bus = Gio.DBus.session;
+        const signalIds = [
+            'StatusNotifierItemRegistered',
+            'StatusNotifierItemUnregistered',
+        ].map(signalName => bus.signal_subscribe(
+            watcherName,
+            watcherName,
+            signalName,
+            WATCHER_OBJECT_PATH,
+            null,
+            Gio.DBusSignalFlags.NONE,
+            (conn, sender, path, iface, signal, params) => {
+                const [service] = params.deep_unpack();
+                if (signal === 'StatusNotifierItemRegistered')
+                    this._registerRemoteItem(service);
+                else
+                    this._unregisterRemoteItem(service);
+            }
+        ));
+        this._followedWatchers.set(watcherName, signalIds);
+
+        debug(`Following ${watcherName} owned by another watcher`);
+
+        try {
+            await new Promise((resolve, reject) => {
+                bus.call(
+                    watcherName,
+                    WATCHER_OBJECT_PATH,
+                    watcherName,
+                    'RegisterStatusNotifierHost',
+                    new GLib.Variant('(s)', [bus.get_unique_name()]),
+                    null,
+                    Gio.DBusCallFlags.NONE,
+                    5000,
+                    this._cancellable,
+                    (conn, res) => {
+                        try {
+                            conn.call_finish(res);
+                            resolve();
+                        } catch (e) {
+                            reject(e);
+                        }
+                    }
+                );
+            });
+        } catch (e) {
+            // Not fatal: the registry below is readable either way
+            debug(`Failed to register as host with ${watcherName}: ${e.message}`);
+        }
+
+        try {
+            const result = await new Promise((resolve, reject) => {
+                bus.call(
+                    watcherName,
+                    WATCHER_OBJECT_PATH,
+                    'org.freedesktop.DBus.Properties',
+                    'Get',
+                    new GLib.Variant('(ss)', [watcherName, 'RegisteredStatusNotifierItems']),
+                    new GLib.VariantType('(v)'),
+                    Gio.DBusCallFlags.NONE,
+                    5000,
+                    this._cancellable,
+                    (conn, res) => {
+                        try {
+                            resolve(conn.call_finish(res));
+                        } catch (e) {
+                            reject(e);
+                        }
+                    }
+                );
+            });
+
+            if (!this._followedWatchers.has(watcherName))
+                return;
+
+            for (const service of result.deep_unpack()[0].deep_unpack())
+                this._registerRemoteItem(service);
         } catch (e) {
-            debug(`Failed to resolve name owner for ${service}: ${e.message}`);
-            return invocation.get_sender();
+            debug(`Failed to read items from ${watcherName}: ${e.message}`);
+        }
+    }
+
+    _stopFollowingWatcher(watcherName) {
+        const signalIds = this._followedWatchers.get(watcherName);
+        if (!signalIds)
+            return;
+
+        // Items stay registered: each is still tracked by its own
+        // NameOwnerChanged subscription, and apps re-register with us
+        for (const signalId of signalIds)
+            Gio.DBus.session.signal_unsubscribe(signalId);
+        this._followedWatchers.delete(watcherName);
+
+        debug(`Took over ${watcherName}`);
+    }
+
+    // Other watchers may list items under a well-known name, while our own
+    // registry keys them by unique name; resolve it so the same item
+    // doesn't end up registered twice
+    async _registerRemoteItem(service) {
+        const [name, objectPath] = this._parseRemoteItem(service);
+        const busName = name.startsWith(':') ? name : await this._getNameOwner(name);
+        if (!busName) {
+            debug(`Listed item ${service} has no owner, ignoring`);
+            return;
+        }
+
+        this._remoteItems.set(service, [busName, objectPath]);
+        this._registerItemInternal(busName, objectPath);
+    }
+
+    async _unregisterRemoteItem(service) {
+        let [busName, objectPath] = this._remoteItems.get(service) ?? [];
+        this._remoteItems.delete(service);
+
+        if (!busName) {
+            const [name, path] = this._parseRemoteItem(service);
+            busName = name.startsWith(':') ? name : await this._getNameOwner(name);
+            objectPath = path;
+        }
+
+        // An owner that's already gone is cleaned up by NameOwnerChanged
+        if (busName)
+            this._unregisterItem(`${busName}${objectPath}`);
+    }
+
+    // Other watchers list items as "busName/objectPath", or a bare bus name
+    _parseRemoteItem(service) {
+        const slash = service.indexOf('/');
+        if (slash <= 0)
+            return [service, DEFAULT_ITEM_OBJECT_PATH];
+        return [service.substring(0, slash), service.substring(slash)];
+    }
+
+    // Emit on one exported interface, or on all of them when dbusImpl is null
+    _emitSignal(dbusImpl, name, params) {
+        for (const impl of dbusImpl ? [dbusImpl] : this._dbusImpls) {
+            try {
+                impl.emit_signal(name, params);
+            } catch (e) {
+                debug(`Failed to emit ${name}: ${e.message}`);
+            }
+        }
+    }
+
+    // Queue PropertiesChanged on every exported interface; GJS batches
+    // these and flushes them from an idle
+    _emitPropertyChanged(name, value) {
+        for (const impl of this._dbusImpls) {
+            try {
+                impl.emit_property_changed(name, value);
+            } catch (e) {
+                debug(`Failed to emit PropertiesChanged for ${name}: ${e.message}`);
+            }
         }
     }
 
+    _notifyItemsChanged() {
+        this._emitPropertyChanged('RegisteredStatusNotifierItems',
+            new GLib.Variant('as', this.RegisteredStatusNotifierItems));
+    }
+
+    _notifyHostStateChanged() {
+        this._emitPropertyChanged('IsStatusNotifierHostRegistered',
+            new GLib.Variant('b', this.IsStatusNotifierHostRegistered));
+    }
+
     getItemInfo(uniqueId) {
         const itemInfo = this._items.get(uniqueId);
         if (!itemInfo) return null;
@@ -1825,42 +4792,34 @@ class StatusNotifierWatcher {
         );
         this._nameOwnerChangedIds.set(uniqueId, signalId);
 
-        try {
-            this._dbusImpl.emit_signal('StatusNotifierItemRegistered',
-                new GLib.Variant('(s)', [uniqueId]));
-        } catch (e) {
-            debug(`Failed to emit StatusNotifierItemRegistered: ${e.message}`);
-        }
+        this._emitSignal(null, 'StatusNotifierItemRegistered',
+            new GLib.Variant('(s)', [uniqueId]));
+        this._notifyItemsChanged();
 
         this._extension._onItemRegistered(uniqueId, busName, objectPath);
     }
 
     _unregisterItem(uniqueId) {
-        if (!this._items.has(uniqueId)) {
+        if (!this._forgetItem(uniqueId))
             return;
-        }
-
-        this._items.delete(uniqueId);
-
-        const signalId = this._nameOwnerChangedIds.get(uniqueId);
-        if (signalId) {
-            Gio.DBus.session.signal_unsubscribe(signalId);
-            this._nameOwnerChangedIds.delete(uniqueId);
-        }
-
-        try {
-            this._dbusImpl.emit_signal('StatusNotifierItemUnregistered',
-                new GLib.Variant('(s)', [uniqueId]));
-        } catch (e) {
-            debug(`Failed to emit StatusNotifierItemUnregistered: ${e.message}`);
-        }
 
         this._extension._onItemUnregistered(uniqueId);
     }
 
-    // Remove tracking without triggering unregister — used when GNOME Shell
-    // externally disposes a TrayItem (e.g. during suspend).
+    // Remove tracking without touching the TrayItem — used when GNOME Shell
+    // externally disposes a TrayItem (e.g. during suspend).  Hosts are told
+    // all the same, since the item is gone from our registry.
     _removeItemTracking(uniqueId) {
+        if (this._forgetItem(uniqueId))
+            debug(`Removed tracking for externally destroyed item: ${uniqueId}`);
+    }
+
+    // Drop an item from the registry and announce it.  Returns false if it
+    // wasn't registered.
+    _forgetItem(uniqueId) {
+        if (!this._items.has(uniqueId))
+            return false;
+
         this._items.delete(uniqueId);
 
         const signalId = this._nameOwnerChangedIds.get(uniqueId);
@@ -1869,7 +4828,10 @@ class StatusNotifierWatcher {
             this._nameOwnerChangedIds.delete(uniqueId);
         }
 
-        debug(`Removed tracking for externally destroyed item: ${uniqueId}`);
+        this._emitSignal(null, 'StatusNotifierItemUnregistered',
+            new GLib.Variant('(s)', [uniqueId]));
+        this._notifyItemsChanged();
+        return true;
     }
 
     updateItemAppId(uniqueId, appId) {
@@ -1880,11 +4842,54 @@ class StatusNotifierWatcher {
         }
     }
 
-    RegisterStatusNotifierHostAsync(_params, invocation) {
-        invocation.return_dbus_error(
-            'org.freedesktop.DBus.Error.NotSupported',
-            'Registering additional notification hosts is not supported'
-        );
+    async RegisterStatusNotifierHostAsync(params, invocation) {
+        const [service] = params;
+        const sender = invocation.get_sender();
+
+        // Hosts usually pass a name like org.kde.StatusNotifierHost-<pid>.
+        // Its owner vanishing is what unregisters the host, so only a name
+        // the caller owns will do; anything else tracks the caller itself.
+        let busName = sender;
+        if (Gio.dbus_is_name(service) && await this._getNameOwner(service) === sender)
+            busName = service;
+
+        debug(`RegisterStatusNotifierHost called with: ${service}`);
+
+        if (!this._hosts.has(busName)) {
+            const signalId = Gio.DBus.session.signal_subscribe(
+                'org.freedesktop.DBus',
+                'org.freedesktop.DBus',
+                'NameOwnerChanged',
+                '/org/freedesktop/DBus',
+                busName,
+                Gio.DBusSignalFlags.NONE,
+                (conn, sender, path, iface, signal, params) => {
+                    const [, , newOwner] = params.deep_unpack();
+                    if (newOwner === '')
+                        this._unregisterHost(busName);
+                }
+            );
+            this._hosts.set(busName, signalId);
+
+            debug(`Registered host: ${busName}`);
+            this._emitSignal(null, 'StatusNotifierHostRegistered', null);
+            this._notifyHostStateChanged();
+        }
+
+        invocation.return_value(null);
+    }
+
+    _unregisterHost(busName) {
+        const signalId = this._hosts.get(busName);
+        if (signalId === undefined)
+            return;
+
+        Gio.DBus.session.signal_unsubscribe(signalId);
+        this._hosts.delete(busName);
+
+        debug(`Host ${busName} disappeared`);
+        this._emitSignal(null, 'StatusNotifierHostUnregistered', null);
+        this._notifyHostStateChanged();
     }
 
     get RegisteredStatusNotifierItems() {
@@ -1892,11 +4897,11 @@ class StatusNotifierWatcher {
     }
 
     get IsStatusNotifierHostRegistered() {
-        return true;
+        return this._hostActive || this._hosts.size > 0;
     }
 
     get ProtocolVersion() {
-        return 0;
+        return WATCHER_PROTOCOL_VERSION;
     }
 
     destroy() {
@@ -1913,23 +4918,34 @@ class StatusNotifierWatcher {
             GLib.source_remove(id);
         this._pendingDelayIds.clear();
 
-        try {
-            this._dbusImpl.emit_signal('StatusNotifierHostUnregistered', null);
-        } catch (e) {
-        }
+        this._hostActive = false;
+        this._emitSignal(null, 'StatusNotifierHostUnregistered', null);
+        this._notifyHostStateChanged();
+
+        for (const signalId of this._hosts.values())
+            Gio.DBus.session.signal_unsubscribe(signalId);
+        this._hosts.clear();
+
+        for (const watcherName of [...this._followedWatchers.keys()])
+            this._stopFollowingWatcher(watcherName);
 
         for (const signalId of this._nameOwnerChangedIds.values())
             Gio.DBus.session.signal_unsubscribe(signalId);
         this._nameOwnerChangedIds.clear();
 
-        if (this._ownNameId) {
-            Gio.DBus.session.unown_name(this._ownNameId);
-            this._ownNameId = 0;
-        }
+        for (const ownNameId of this._ownNameIds)
+            Gio.DBus.session.unown_name(ownNameId);
+        this._ownNameIds = [];
 
-        this._dbusImpl.unexport();
+        // Send the queued host state change before the object goes away
+        for (const dbusImpl of this._dbusImpls) {
+            dbusImpl.flush();
+            dbusImpl.unexport();
+        }
+        this._dbusImpls = [];
 
         this._items.clear();
+        this._remoteItems.clear();
     }
 }
 
@@ -1938,6 +4954,8 @@ export default class StatusTrayExtension extends Extension {
         debug('Extension enabling...');
 
         this._settings = this.getSettings();
+        // Left over from a session whose prefs window never picked it up
+        this._settings.reset('prefs-open-dialog');
 
         this._items = new Map();
 
@@ -1968,6 +4986,18 @@ export default class StatusTrayExtension extends Extension {
                 debug('app-order setting changed');
                 this._reorderItems();
             },
+            'changed::show-menu-host-section', () => {
+                debug('show-menu-host-section setting changed');
+                this._refreshMenus();
+            },
+            'changed::overlay-disabled-apps', () => {
+                debug('overlay-disabled-apps setting changed');
+                this._refreshOverlays();
+            },
+            'changed::show-passive-items', () => {
+                debug('show-passive-items setting changed');
+                this._refreshVisibility();
+            },
             this
         );
 
@@ -1998,9 +5028,10 @@ export default class StatusTrayExtension extends Extension {
         }
         this._items.clear();
 
-        _sniInterfaceInfo = null;
+        _sniInterfaceInfos.clear();
         _interfaceSettings = null;
         _themeChainCache = null;
+        _movieCache.clear();
 
         debug('Extension disabled');
     }
@@ -2031,10 +5062,26 @@ export default class StatusTrayExtension extends Extension {
         const trayItem = new TrayItem(busName, objectPath, this._settings);
         this._items.set(uniqueId, trayItem);
 
+        trayItem.connect('restart-requested', () => {
+            this._watcher?.restartItem(uniqueId);
+        });
+
+        trayItem.connect('move-requested', (item, direction) => {
+            this._moveItem(item, direction);
+        });
+
+        trayItem.connect('preferences-requested', (item, dialog) => {
+            // prefs.js picks this up and opens the dialog for the app
+            this._settings.set_string('prefs-open-dialog', `${dialog}:${item._appId}`);
+            this.openPreferences();
+        });
+
         trayItem.connect('appid-resolved', (item, resolvedAppId) => {
             if (this._watcher)
                 this._watcher.updateItemAppId(uniqueId, resolvedAppId);
             this._refreshItems();
+            // app-order is keyed by app ID, so a late ID may move the item
+            this._scheduleReorder();
         });
 
         // Detect when GNOME Shell externally disposes the TrayItem (e.g. during
@@ -2109,6 +5156,62 @@ export default class StatusTrayExtension extends Extension {
     _refreshIconStyles() {
         for (const [key, item] of this._items) {
             item._applySymbolicStyle();
+            // Menu icons follow icon-mode too; re-render on next open
+            item._menuShowsLayout = false;
+        }
+    }
+
+    _refreshMenus() {
+        for (const [key, item] of this._items) {
+            // Re-rendered from the cached layout on next open
+            item._menuShowsLayout = false;
+        }
+    }
+
+    // Swap the item with its visible neighbour in app-order
+    _moveItem(trayItem, direction) {
+        const appId = trayItem._appId;
+        const rightBox = Main.panel._rightBox;
+        const panelItems = [...this._items.values()]
+            .filter(item => item._appId && !item._appId.startsWith(':'))
+            .filter(item => (item.container || item).get_parent() === rightBox)
+            .sort((a, b) => rightBox.get_children().indexOf(a.container || a) -
+                rightBox.get_children().indexOf(b.container || b));
+        const panelOrder = panelItems.map(item => item._appId);
+
+        // Hidden (e.g. Passive) items keep their slot in app-order, but
+        // swapping with one wouldn't change what the user sees
+        const visibleOrder = panelItems
+            .filter(item => item === trayItem || (item.container || item).visible)
+            .map(item => item._appId);
+        const neighborId = visibleOrder[visibleOrder.indexOf(appId) + direction];
+        if (!neighborId) {
+            debug(`Can't move ${appId} any further`);
+            return;
+        }
+
+        const appOrder = this._settings.get_strv('app-order');
+        for (const id of panelOrder) {
+            if (!appOrder.includes(id))
+                appOrder.push(id);
+        }
+
+        const index = appOrder.indexOf(appId);
+        const neighborIndex = appOrder.indexOf(neighborId);
+        appOrder[index] = neighborId;
+        appOrder[neighborIndex] = appId;
+        this._settings.set_strv('app-order', appOrder);
+    }
+
+    _refreshOverlays() {
+        for (const [key, item] of this._items) {
+            item._updateOverlayIcon();
+        }
+    }
+
+    _refreshVisibility() {
+        for (const [key, item] of this._items) {
+            item._updateVisibility();
         }
     }
 
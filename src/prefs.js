@@ -14,10 +14,49 @@ function debug(msg) {
         console.log(`[StatusTray/prefs] ${msg}`);
 }
 
+// Tray items implement one of these; the extension serves both
+const SNI_INTERFACE_NAMES = ['org.kde.StatusNotifierItem', 'org.freedesktop.StatusNotifierItem'];
+// The watcher may be reachable under either name, depending on who owns it
+const WATCHER_BUS_NAMES = ['org.kde.StatusNotifierWatcher', 'org.freedesktop.StatusNotifierWatcher'];
+
 // GTK4 DnD with custom GObject types is unreliable, so we track the dragged
 // row at module level as a workaround.
 let _draggedRow = null;
 
+// Which SNI interface name the item implements, from its introspection
+// data.  Items that can't be introspected are assumed to use the KDE one.
+async function detectItemInterface(bus, busName, objectPath) {
+    try {
+        const xml = await new Promise((resolve, reject) => {
+            bus.call(
+                busName,
+                objectPath,
+                'org.freedesktop.DBus.Introspectable',
+                'Introspect',
+                null,
+                new GLib.VariantType('(s)'),
+                Gio.DBusCallFlags.NONE,
+                1000,
+                null,
+                (conn, result) => {
+                    try {
+                        resolve(conn.call_finish(result).deep_unpack()[0]);
+                    } catch (e) {
+                        reject(e);
+                    }
+                }
+            );
+        });
+
+        const found = SNI_INTERFACE_NAMES.find(name => xml.includes(`"${name}"`));
+        if (found)
+            return found;
+    } catch (e) {
+        debug(`Failed to introspect ${busName}${objectPath}: ${e.message}`);
+    }
+    return SNI_INTERFACE_NAMES[0];
+}
+
 function cleanAppName(name) {
     if (!name) return null;
 
@@ -102,6 +141,30 @@ class AppRow extends Adw.ActionRow {
         }));
         this._tuneButton.connect('clicked', () => this._openEffectDialog());
 
+        const actionGroup = new Gio.SimpleActionGroup();
+        this.insert_action_group('app', actionGroup);
+
+        this._contextMenuAction = Gio.SimpleAction.new_stateful(
+            'use-context-menu', null, GLib.Variant.new_boolean(false));
+        this._contextMenuAction.connect('change-state', (action, value) => {
+            action.set_state(value);
+            this._setInListSetting('context-menu-apps', value.get_boolean());
+        });
+        actionGroup.add_action(this._contextMenuAction);
+        this._syncOptions();
+
+        const optionsMenu = new Gio.Menu();
+        optionsMenu.append("Use App's Own Menu", 'app.use-context-menu');
+
+        this._optionsButton = new Gtk.MenuButton({
+            icon_name: 'view-more-symbolic',
+            valign: Gtk.Align.CENTER,
+            css_classes: ['flat', 'circular'],
+            tooltip_text: 'More options',
+            menu_model: optionsMenu,
+        });
+
+        this.add_suffix(this._optionsButton);
         this.add_suffix(this._tuneButton);
         this.add_suffix(this._switch);
         this.set_activatable_widget(this._switch);
@@ -269,6 +332,7 @@ class AppRow extends Adw.ActionRow {
                 this._settings.set_strv('app-order', appOrder);
                 const disabledApps = this._settings.get_strv('disabled-apps');
                 this._switch.set_active(!disabledApps.includes(this._appId));
+                this._syncOptions();
                 this._rebuildAppsGroup();
                 debug(`Updated appId from ${oldAppId} to ${this._appId}`);
             }
@@ -466,14 +530,21 @@ class AppRow extends Adw.ActionRow {
         }
     }
 
-    _dbusGetProperty(bus, propertyName) {
+    // Properties are read from the interface name the item implements,
+    // detected once and shared by concurrent reads
+    async _dbusGetProperty(bus, propertyName) {
+        this._interfacePromise ??= detectItemInterface(bus, this._busName, this._objectPath);
+        return this._dbusGetPropertyFrom(bus, await this._interfacePromise, propertyName);
+    }
+
+    _dbusGetPropertyFrom(bus, interfaceName, propertyName) {
         return new Promise((resolve, reject) => {
             bus.call(
                 this._busName,
                 this._objectPath,
                 'org.freedesktop.DBus.Properties',
                 'Get',
-                new GLib.Variant('(ss)', ['org.kde.StatusNotifierItem', propertyName]),
+                new GLib.Variant('(ss)', [interfaceName, propertyName]),
                 new GLib.VariantType('(v)'),
                 Gio.DBusCallFlags.NONE,
                 1000,  // 1 second timeout
@@ -509,6 +580,28 @@ class AppRow extends Adw.ActionRow {
         this._settings.set_strv('disabled-apps', disabledApps);
     }
 
+    _syncOptions() {
+        const contextMenuApps = this._settings.get_strv('context-menu-apps');
+        this._contextMenuAction.set_state(
+            GLib.Variant.new_boolean(contextMenuApps.includes(this._appId)));
+    }
+
+    // Add or remove this app from a list-of-app-IDs setting
+    _setInListSetting(key, included) {
+        const apps = this._settings.get_strv(key);
+        const index = apps.indexOf(this._appId);
+
+        if (included && index === -1) {
+            apps.push(this._appId);
+        } else if (!included && index > -1) {
+            apps.splice(index, 1);
+        } else {
+            return;
+        }
+
+        this._settings.set_strv(key, apps);
+    }
+
     _openIconPicker() {
         const dialog = new IconPickerDialog(
             this._appId,
@@ -612,6 +705,25 @@ const IconPickerDialog = GObject.registerClass({
             this._settings.set_strv('icon-fallback-overrides', apps);
         });
 
+        const overlayDisabledApps = settings.get_strv('overlay-disabled-apps');
+        this._overlayRow = new Adw.SwitchRow({
+            title: 'Show Overlay Badges',
+            subtitle: 'Show status badges the app draws over its icon',
+        });
+        this._overlayRow.set_active(!overlayDisabledApps.includes(appId));
+        previewGroup.add(this._overlayRow);
+
+        this._overlayRow.connect('notify::active', () => {
+            const apps = this._settings.get_strv('overlay-disabled-apps');
+            const index = apps.indexOf(this._appId);
+            if (!this._overlayRow.get_active() && index === -1) {
+                apps.push(this._appId);
+            } else if (this._overlayRow.get_active() && index > -1) {
+                apps.splice(index, 1);
+            }
+            this._settings.set_strv('overlay-disabled-apps', apps);
+        });
+
         const filterBox = new Gtk.Box({
             orientation: Gtk.Orientation.HORIZONTAL,
             spacing: 8,
@@ -1103,14 +1215,21 @@ const IconEffectDialog = GObject.registerClass({
         }
     }
 
-    _dbusGetProperty(bus, propertyName) {
+    // Properties are read from the interface name the item implements,
+    // detected once and shared by concurrent reads
+    async _dbusGetProperty(bus, propertyName) {
+        this._interfacePromise ??= detectItemInterface(bus, this._busName, this._objectPath);
+        return this._dbusGetPropertyFrom(bus, await this._interfacePromise, propertyName);
+    }
+
+    _dbusGetPropertyFrom(bus, interfaceName, propertyName) {
         return new Promise((resolve, reject) => {
             bus.call(
                 this._busName,
                 this._objectPath,
                 'org.freedesktop.DBus.Properties',
                 'Get',
-                new GLib.Variant('(ss)', ['org.kde.StatusNotifierItem', propertyName]),
+                new GLib.Variant('(ss)', [interfaceName, propertyName]),
                 new GLib.VariantType('(v)'),
                 Gio.DBusCallFlags.NONE,
                 1000,
@@ -1414,6 +1533,22 @@ export default class StatusTrayPreferences extends ExtensionPreferences {
 
         appearanceGroup.add(iconModeRow);
 
+        const showPassiveRow = new Adw.SwitchRow({
+            title: 'Show Passive Icons',
+            subtitle: 'Show icons that apps mark as currently unimportant',
+        });
+        this._settings.bind('show-passive-items', showPassiveRow, 'active',
+            Gio.SettingsBindFlags.DEFAULT);
+        appearanceGroup.add(showPassiveRow);
+
+        const hostSectionRow = new Adw.SwitchRow({
+            title: 'Show Icon Options in Menus',
+            subtitle: 'Add hide, move and customize actions to the bottom of every tray menu',
+        });
+        this._settings.bind('show-menu-host-section', hostSectionRow, 'active',
+            Gio.SettingsBindFlags.DEFAULT);
+        appearanceGroup.add(hostSectionRow);
+
         this._appsGroup = new Adw.PreferencesGroup({
             title: 'Tray Apps',
             description: 'Drag to reorder. Click the icon to customize. Toggle to show/hide.',
@@ -1444,6 +1579,13 @@ export default class StatusTrayPreferences extends ExtensionPreferences {
         this._populateAppsGroup();
         this._subscribeToSignals();
 
+        // The extension asks for a dialog from a tray icon's menu.  The
+        // request is held here until the app's row shows up.
+        this._pendingDialogRequest = null;
+        this._openDialogChangedId = this._settings.connect('changed::prefs-open-dialog',
+            () => this._openRequestedDialog());
+        this._openRequestedDialog();
+
         const aboutGroup = new Adw.PreferencesGroup({
             title: 'About',
         });
@@ -1486,36 +1628,40 @@ export default class StatusTrayPreferences extends ExtensionPreferences {
         });
     }
 
+    // Follow both watcher names.  When one watcher owns both, its signals
+    // arrive twice, which the handlers below tolerate.
     _subscribeToSignals() {
-        const registeredId = this._bus.signal_subscribe(
-            'org.kde.StatusNotifierWatcher',
-            'org.kde.StatusNotifierWatcher',
-            'StatusNotifierItemRegistered',
-            '/StatusNotifierWatcher',
-            null,
-            Gio.DBusSignalFlags.NONE,
-            (conn, sender, path, iface, signal, params) => {
-                const [itemId] = params.deep_unpack();
-                debug(`SNI registered: ${itemId}`);
-                this._onAppRegistered(itemId);
-            }
-        );
-        this._signalIds.push(registeredId);
-
-        const unregisteredId = this._bus.signal_subscribe(
-            'org.kde.StatusNotifierWatcher',
-            'org.kde.StatusNotifierWatcher',
-            'StatusNotifierItemUnregistered',
-            '/StatusNotifierWatcher',
-            null,
-            Gio.DBusSignalFlags.NONE,
-            (conn, sender, path, iface, signal, params) => {
-                const [itemId] = params.deep_unpack();
-                debug(`SNI unregistered: ${itemId}`);
-                this._onAppUnregistered(itemId);
-            }
-        );
-        this._signalIds.push(unregisteredId);
+        for (const watcherName of WATCHER_BUS_NAMES) {
+            const registeredId = this._bus.signal_subscribe(
+                watcherName,
+                watcherName,
+                'StatusNotifierItemRegistered',
+                '/StatusNotifierWatcher',
+                null,
+                Gio.DBusSignalFlags.NONE,
+                (conn, sender, path, iface, signal, params) => {
+                    const [itemId] = params.deep_unpack();
+                    debug(`SNI registered: ${itemId}`);
+                    this._onAppRegistered(itemId);
+                }
+            );
+            this._signalIds.push(registeredId);
+
+            const unregisteredId = this._bus.signal_subscribe(
+                watcherName,
+                watcherName,
+                'StatusNotifierItemUnregistered',
+                '/StatusNotifierWatcher',
+                null,
+                Gio.DBusSignalFlags.NONE,
+                (conn, sender, path, iface, signal, params) => {
+                    const [itemId] = params.deep_unpack();
+                    debug(`SNI unregistered: ${itemId}`);
+                    this._onAppUnregistered(itemId);
+                }
+            );
+            this._signalIds.push(unregisteredId);
+        }
 
         debug('Subscribed to StatusNotifierWatcher signals');
     }
@@ -1543,6 +1689,39 @@ export default class StatusTrayPreferences extends ExtensionPreferences {
         this._ensureInAppOrder(appId);
 
         debug(`Added app row for ${appId}`);
+
+        this._openRequestedDialog();
+    }
+
+    // prefs-open-dialog is "icon:APP_ID" or "effects:APP_ID"
+    _openRequestedDialog() {
+        const request = this._settings.get_string('prefs-open-dialog');
+        if (request) {
+            // One-shot: don't leave it in dconf for a later prefs window
+            this._pendingDialogRequest = request;
+            this._settings.set_string('prefs-open-dialog', '');
+        }
+
+        const pending = this._pendingDialogRequest;
+        if (!pending)
+            return;
+
+        const separator = pending.indexOf(':');
+        const dialog = pending.substring(0, separator);
+        const appId = pending.substring(separator + 1);
+
+        const row = Array.from(this._appRows.values()).find(r => r._appId === appId);
+        if (!row) {
+            debug(`No row for requested app ${appId} yet`);
+            return;
+        }
+
+        this._pendingDialogRequest = null;
+        this._window.present();
+        if (dialog === 'effects')
+            row._openEffectDialog();
+        else
+            row._openIconPicker();
     }
 
     _onAppUnregistered(itemId) {
@@ -1581,28 +1760,30 @@ export default class StatusTrayPreferences extends ExtensionPreferences {
     _populateAppsGroup() {
         const appIds = new Map();
 
-        try {
-            const reply = this._bus.call_sync(
-                'org.kde.StatusNotifierWatcher',
-                '/StatusNotifierWatcher',
-                'org.freedesktop.DBus.Properties',
-                'Get',
-                new GLib.Variant('(ss)', ['org.kde.StatusNotifierWatcher', 'RegisteredStatusNotifierItems']),
-                new GLib.VariantType('(v)'),
-                Gio.DBusCallFlags.NONE,
-                -1,
-                null
-            );
+        for (const watcherName of WATCHER_BUS_NAMES) {
+            try {
+                const reply = this._bus.call_sync(
+                    watcherName,
+                    '/StatusNotifierWatcher',
+                    'org.freedesktop.DBus.Properties',
+                    'Get',
+                    new GLib.Variant('(ss)', [watcherName, 'RegisteredStatusNotifierItems']),
+                    new GLib.VariantType('(v)'),
+                    Gio.DBusCallFlags.NONE,
+                    -1,
+                    null
+                );
 
-            const [variant] = reply.deep_unpack();
-            const items = variant.deep_unpack();
+                const [variant] = reply.deep_unpack();
+                const items = variant.deep_unpack();
 
-            for (const item of items) {
-                const { appId, busName, objectPath } = this._parseItemId(item);
-                appIds.set(appId, { busName, objectPath });
+                for (const item of items) {
+                    const { appId, busName, objectPath } = this._parseItemId(item);
+                    appIds.set(appId, { busName, objectPath });
+                }
+            } catch (e) {
+                debug(`Failed to get registered SNI items from ${watcherName}: ${e.message}`);
             }
-        } catch (e) {
-            debug(`Failed to get registered SNI items: ${e.message}`);
         }
 
         if (appIds.size === 0) {
@@ -1731,6 +1912,8 @@ export default class StatusTrayPreferences extends ExtensionPreferences {
         for (const signalId of this._signalIds)
             this._bus.signal_unsubscribe(signalId);
 
+        this._settings.disconnect(this._openDialogChangedId);
+
         this._signalIds = null;
         this._appRows = null;
         this._appsGroup = null;